@@ -0,0 +1,210 @@
+// Generates the story steps from the markdown named by each story manifest in
+// public/stories: public/stories/<name>.html for every story, and the steps
+// of the story being built (`npm run story -- <name>`, or STORY=<name>,
+// after-the-ussr by default) right into public/index.html
+//
+// Every step in the markdown starts with front matter naming its scene in
+// the story's scenes file:
+//
+//   ---
+//   scene: israel
+//   section: line-graphic
+//   ---
+//
+//   Step text, one paragraph per block.
+//
+// "section" starts a new .scroll-text block: "true", or "bar-graphic" or
+// "line-graphic" to put that container before it. Leave it out otherwise.
+// Scene names are letters, digits, "_" and "-".
+const fs = require("fs");
+const path = require("path");
+const marked = require("marked");
+
+const rootPath = path.join(__dirname, "..");
+const publicPath = path.join(rootPath, "public");
+const storiesPath = path.join(publicPath, "stories");
+const indexPath = path.join(publicPath, "index.html");
+
+const builtStoryName = process.argv[2] || process.env.STORY || "after-the-ussr";
+
+const startMarker = "<!-- story:start -->";
+const endMarker = "<!-- story:end -->";
+
+const graphicContainers = {
+  "bar-graphic": `<div class="bar-graphic-container sticky">
+  <div class="bar-graphic-header">
+    <span class="bar-graphic-header-text"></span>
+  </div>
+  <div class="bar-graphic"></div>
+</div>`,
+  "line-graphic": `<div class="line-graphic-container sticky">
+  <div class="line-graphic-header">
+    <span class="line-graphic-header-text"></span>
+  </div>
+  <div class="line-graphic"></div>
+</div>`
+};
+
+const indent = (text, spaces) =>
+  text
+    .split("\n")
+    .map(line => (line ? " ".repeat(spaces) + line : line))
+    .join("\n");
+
+function parseStory(markdown) {
+  const blocks = markdown.split(/^---\s*$/m).slice(1);
+
+  if (blocks.length % 2 !== 0) {
+    throw new Error("Every step needs front matter between two --- lines");
+  }
+
+  const steps = [];
+
+  for (let i = 0; i < blocks.length; i += 2) {
+    const frontMatter = blocks[i]
+      .trim()
+      .split("\n")
+      .reduce((fields, line) => {
+        const separatorIndex = line.indexOf(":");
+        const key = line.slice(0, separatorIndex).trim();
+        const value = line.slice(separatorIndex + 1).trim();
+
+        return { ...fields, [key]: value };
+      }, {});
+
+    steps.push({ ...frontMatter, text: blocks[i + 1].trim() });
+  }
+
+  return steps;
+}
+
+function renderStep(step) {
+  const stepText = marked(step.text).trim();
+
+  return `<div class="step" data-scene="${step.scene}">
+  <div class="step-text">
+${indent(stepText, 4)}
+  </div>
+</div>`;
+}
+
+function renderSections(steps) {
+  const sections = [];
+
+  steps.forEach((step, index) => {
+    if (index === 0 || step.section !== undefined) {
+      const graphic = graphicContainers[step.section];
+
+      if (graphic) {
+        sections.push(graphic);
+      }
+      sections.push({ steps: [] });
+    }
+
+    sections[sections.length - 1].steps.push(renderStep(step));
+  });
+
+  return sections
+    .map(section => {
+      if (typeof section === "string") {
+        return section;
+      }
+
+      const renderedSteps = indent(section.steps.join("\n"), 2);
+      return `<div class="scroll-text">\n${renderedSteps}\n</div>`;
+    })
+    .join("\n\n");
+}
+
+function checkSections(steps) {
+  steps.forEach(step => {
+    if (
+      step.section !== undefined &&
+      step.section !== "true" &&
+      !graphicContainers[step.section]
+    ) {
+      throw new Error(
+        `section must be true, ${Object.keys(graphicContainers).join(
+          " or "
+        )}, not "${step.section}" (step of scene "${step.scene}")`
+      );
+    }
+  });
+}
+
+function checkSceneNames(steps, scenesPath) {
+  const sceneNames = JSON.parse(fs.readFileSync(scenesPath, "utf8")).map(
+    scene => scene.name
+  );
+
+  steps.forEach(step => {
+    // they go into the html as they are
+    if (!/^[\w-]+$/.test(step.scene)) {
+      throw new Error(
+        `Scene names are letters, digits, _ and -: "${step.scene}"`
+      );
+    }
+    if (!sceneNames.includes(step.scene)) {
+      throw new Error(`No scene named "${step.scene}" in ${scenesPath}`);
+    }
+  });
+}
+
+// returns the rendered steps of the story in public/stories/<fileName>
+function buildStory(fileName) {
+  const manifest = JSON.parse(
+    fs.readFileSync(path.join(storiesPath, fileName), "utf8")
+  );
+  const steps = parseStory(
+    fs.readFileSync(path.join(rootPath, manifest.steps), "utf8")
+  );
+  checkSceneNames(steps, path.join(publicPath, manifest.scenes));
+  checkSections(steps);
+
+  const storyMarkup = renderSections(steps);
+  const fragmentPath = path.join(storiesPath, `${manifest.name}.html`);
+
+  fs.writeFileSync(fragmentPath, `${storyMarkup}\n`);
+  console.log(`Wrote ${steps.length} story steps to ${fragmentPath}`);
+
+  return { name: manifest.name, storyMarkup };
+}
+
+const stories = fs
+  .readdirSync(storiesPath)
+  .filter(fileName => fileName.endsWith(".json"))
+  .map(buildStory);
+const builtStory = stories.find(story => story.name === builtStoryName);
+
+if (!builtStory) {
+  throw new Error(
+    `No story manifest named ${builtStoryName} in ${storiesPath}`
+  );
+}
+
+const index = fs
+  .readFileSync(indexPath, "utf8")
+  .replace(
+    /<section class="scroll"[^>]*>/,
+    `<section class="scroll" data-story="${builtStory.name}">`
+  );
+const startMarkerIndex = index.indexOf(startMarker);
+const end = index.indexOf(endMarker);
+
+if (startMarkerIndex === -1 || end === -1 || end < startMarkerIndex) {
+  throw new Error(
+    `${indexPath} needs ${startMarker} and then ${endMarker} around the story`
+  );
+}
+
+const start = startMarkerIndex + startMarker.length;
+
+// the end marker keeps its indentation
+const updatedIndex = [
+  index.slice(0, start),
+  indent(builtStory.storyMarkup, 8),
+  `        ${index.slice(end)}`
+].join("\n");
+
+fs.writeFileSync(indexPath, updatedIndex);
+console.log(`Built ${builtStory.name} into ${indexPath}`);
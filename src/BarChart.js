@@ -1,14 +1,10 @@
 import d3 from "d3";
 
-import { sovietCountryIsoCodes } from "./constants";
 import createChromaColorSet from "./utils/createChromaColorSet";
 export default class BarChart {
   constructor(opts) {
     // load in arguments from config object
     this.data = opts.data;
-    this.sovietDataPoints = opts.data.filter(country =>
-      sovietCountryIsoCodes.includes(country.id)
-    );
     this.element = opts.element;
     this.barMargin = {
       top: 15,
@@ -44,6 +40,14 @@ export default class BarChart {
     this.hideAllElements();
   }
 
+  redraw() {
+    d3.select(this.element)
+      .select("svg")
+      .remove();
+
+    this.draw();
+  }
+
   paintPlot(margins) {
     this.plot = d3
       .select(".bar-graphic")
@@ -0,0 +1,680 @@
+import d3 from "d3";
+
+// what the stylesheet gives countries with no style of their own
+const defaultCountryStyles = {
+  opacity: "1",
+  fill: "#d0d0d0",
+  stroke: "#2a2c39",
+  "stroke-width": "1",
+  "stroke-opacity": "1",
+  "fill-opacity": "1"
+};
+const sphereColor = "lightgoldenrodyellow";
+const particleColor = "lightgoldenrodyellow";
+const bubbleStroke = "lightgoldenrodyellow";
+const bubbleFillOpacity = 0.75;
+const labelColor = "#000";
+// points along each arrow it's drawn through
+const arrowSamples = 40;
+
+// Paints the map on a canvas instead of svg elements. It keeps the state of
+// the map itself: the countries' styles, the zoom, the labels, arrows,
+// bubbles and particles, which WorldMap changes right away or through
+// animate(). One animation frame loop steps the animations and paints it all
+// again, and only runs while something is changing.
+export default class CanvasRenderer {
+  constructor(opts) {
+    this.features = opts.features;
+    this.width = opts.width;
+    this.height = opts.height;
+    this.pixelRatio = window.devicePixelRatio || 1;
+
+    this.canvas = document.createElement("canvas");
+    this.canvas.className = "map-canvas";
+    this.canvas.width = this.width * this.pixelRatio;
+    this.canvas.height = this.height * this.pixelRatio;
+    this.canvas.style.width = `${this.width}px`;
+    this.canvas.style.height = `${this.height}px`;
+    opts.element.appendChild(this.canvas);
+    this.context = this.canvas.getContext("2d");
+    this.font = window.getComputedStyle(this.canvas).fontFamily;
+
+    this.projection = null;
+    // { [countryId]: feature } drawn instead of the country's own outline
+    this.outlines = {};
+    this.showsSphere = false;
+    // labels, arrows and the rest wait for a new projection to settle
+    this.hidesOverlays = false;
+    this.transform = { scale: 1, translate: [0, 0] };
+    // { [countryId]: { opacity, fill, stroke, ... } } as css properties
+    this.countryStyles = {};
+    this.features.forEach(feature => {
+      this.countryStyles[feature.id] = { ...defaultCountryStyles };
+    });
+    // { name, anchor, area, fontSize, position, size, drawn } see
+    // WorldMap.layoutLabels
+    this.labels = [];
+    this.arrows = [];
+    this.flowLabels = [];
+    this.bubbles = [];
+    this.particles = [];
+
+    // { [key]: { start, duration, ease, tween, step, end } }, a new animation
+    // with the key of a running one stops it, like d3's transitions
+    this.animations = {};
+    // { [key]: tick(elapsed) } running until they return true
+    this.runners = {};
+    this.frameRequest = null;
+
+    this.requestFrame();
+  }
+
+  // tween is called once the delay is over and returns step(t)
+  animate(key, { duration, delay = 0, ease = "cubic-in-out", tween, end }) {
+    this.animations[key] = {
+      start: Date.now() + delay,
+      duration,
+      ease: d3.ease(ease),
+      tween,
+      step: null,
+      end
+    };
+    this.requestFrame();
+  }
+
+  interrupt(key) {
+    delete this.animations[key];
+  }
+
+  run(key, tick) {
+    this.runners[key] = { start: Date.now(), tick };
+    this.requestFrame();
+  }
+
+  stop(key) {
+    delete this.runners[key];
+    this.requestFrame();
+  }
+
+  requestFrame() {
+    if (this.frameRequest === null) {
+      this.frameRequest = window.requestAnimationFrame(() => {
+        this.frameRequest = null;
+        this.step();
+        this.paint();
+
+        if (
+          Object.keys(this.animations).length ||
+          Object.keys(this.runners).length
+        ) {
+          this.requestFrame();
+        }
+      });
+    }
+  }
+
+  step() {
+    const now = Date.now();
+
+    Object.keys(this.animations).forEach(key => {
+      const animation = this.animations[key];
+
+      if (now < animation.start) {
+        return;
+      }
+
+      animation.step = animation.step || animation.tween();
+
+      const t = animation.duration
+        ? Math.min(1, (now - animation.start) / animation.duration)
+        : 1;
+      animation.step(animation.ease(t));
+
+      if (t === 1) {
+        delete this.animations[key];
+        if (animation.end) {
+          animation.end();
+        }
+      }
+    });
+
+    Object.keys(this.runners).forEach(key => {
+      const { start, tick } = this.runners[key];
+
+      if (tick(now - start)) {
+        delete this.runners[key];
+      }
+    });
+  }
+
+  // path is a d3.geo.path, its projection is drawn with from now on
+  setPath(path, outlines) {
+    this.projection = path.projection();
+    this.outlines = outlines;
+    this.showsSphere = this.projection.clipAngle() !== null;
+    this.requestFrame();
+  }
+
+  setHidesOverlays(hidesOverlays) {
+    this.hidesOverlays = hidesOverlays;
+    this.requestFrame();
+  }
+
+  setTransform(scale, translate) {
+    this.interrupt("zoom");
+    this.transform = { scale, translate };
+    this.requestFrame();
+  }
+
+  animateTransform(scale, translate, duration) {
+    this.animate("zoom", {
+      duration,
+      tween: () => {
+        const interpolateScale = d3.interpolate(this.transform.scale, scale);
+        const interpolateTranslate = d3.interpolate(
+          this.transform.translate,
+          translate
+        );
+
+        return t => {
+          this.transform = {
+            scale: interpolateScale(t),
+            translate: interpolateTranslate(t)
+          };
+        };
+      }
+    });
+  }
+
+  // { [countryId]: { styles, delay } }, as WorldMap.animateCountryStyles
+  animateCountryStyles(countryStyles, duration) {
+    Object.keys(countryStyles).forEach(countryId => {
+      const { styles, delay } = countryStyles[countryId];
+      const current = this.countryStyles[countryId];
+
+      if (!current) {
+        return;
+      }
+
+      this.animate(`country-${countryId}`, {
+        duration,
+        delay,
+        tween: () => {
+          const interpolators = Object.keys(styles).map(property => {
+            const target =
+              styles[property] === undefined || styles[property] === null
+                ? defaultCountryStyles[property]
+                : styles[property];
+
+            return [property, d3.interpolate(current[property], target)];
+          });
+
+          return t => {
+            interpolators.forEach(([property, interpolate]) => {
+              current[property] = interpolate(t);
+            });
+          };
+        }
+      });
+    });
+  }
+
+  // places new labels right away and moves the others to their position
+  moveLabels(duration) {
+    this.labels
+      .filter(label => label.isNew)
+      .forEach(label => {
+        label.drawn = { position: label.position, size: label.size };
+      });
+
+    this.animate("labels", {
+      duration,
+      tween: () => {
+        const interpolators = this.labels.map(label =>
+          d3.interpolate(label.drawn, {
+            position: label.position,
+            size: label.size
+          })
+        );
+
+        return t => {
+          this.labels.forEach((label, i) => {
+            label.drawn = interpolators[i](t);
+          });
+        };
+      }
+    });
+  }
+
+  setLabels(labels) {
+    this.labels = labels;
+    this.requestFrame();
+  }
+
+  // An arrow on the curve of WorldMap's svg arrows, drawn from its origin
+  // over duration. Returns the arrow, for pointAt and resizeArrow.
+  addArrow({
+    origin,
+    destination,
+    curveOffset,
+    color,
+    width,
+    headSize,
+    delay,
+    duration
+  }) {
+    const control = [
+      (origin[0] + destination[0]) / 2,
+      (origin[1] + destination[1]) / 2 - curveOffset
+    ];
+    const points = d3
+      .range(arrowSamples + 1)
+      .map(i => getCurvePoint(origin, control, destination, i / arrowSamples));
+    const lengths = points.reduce(
+      (all, point, i) =>
+        i ? [...all, all[i - 1] + getDistance(points[i - 1], point)] : [0],
+      []
+    );
+    const arrow = {
+      key: null,
+      points,
+      lengths,
+      color,
+      width,
+      headSize,
+      headAngle:
+        Math.atan2(destination[1] - origin[1], destination[0] - origin[0]) -
+        Math.PI / 2,
+      progress: 0,
+      pointAt: share => getPointAlong(points, lengths, share)
+    };
+
+    this.arrows.push(arrow);
+    this.animate(`arrow-${this.arrows.length}`, {
+      duration,
+      delay,
+      ease: "linear",
+      tween: () => t => {
+        arrow.progress = t;
+      }
+    });
+
+    return arrow;
+  }
+
+  // every arrow drawn up to progress right away, for scrubbing
+  setArrowProgress(progress) {
+    Object.keys(this.animations)
+      .filter(key => key.startsWith("arrow-"))
+      .forEach(key => this.interrupt(key));
+    this.arrows.forEach(arrow => {
+      arrow.progress = progress;
+    });
+    this.requestFrame();
+  }
+
+  resizeArrow(arrow, { width, color, headSize, duration }) {
+    this.animate(`resize-${arrow.key}`, {
+      duration,
+      tween: () => {
+        const interpolate = d3.interpolate(
+          { width: arrow.width, color: arrow.color, headSize: arrow.headSize },
+          { width, color, headSize }
+        );
+
+        return t => Object.assign(arrow, interpolate(t));
+      }
+    });
+  }
+
+  // a label fading in on top of the middle of an arrow
+  addFlowLabel({ key, text, position, fontSize, delay }) {
+    const label = { key, text, position, fontSize, opacity: 0 };
+
+    this.flowLabels.push(label);
+    this.animate(`flow-label-${this.flowLabels.length}`, {
+      duration: 300,
+      delay,
+      tween: () => t => {
+        label.opacity = t;
+      }
+    });
+
+    return label;
+  }
+
+  setFlowLabelText(key, text) {
+    this.flowLabels
+      .filter(label => label.key === key)
+      .forEach(label => {
+        label.text = text;
+      });
+    this.requestFrame();
+  }
+
+  clearArrows() {
+    Object.keys(this.animations)
+      .filter(
+        key =>
+          key.startsWith("arrow-") ||
+          key.startsWith("resize-") ||
+          key.startsWith("flow-label-")
+      )
+      .forEach(key => this.interrupt(key));
+    this.arrows = [];
+    this.flowLabels = [];
+    this.requestFrame();
+  }
+
+  // [{ id, center, radius }] grow from nothing or to their new radius, the
+  // bubbles of other countries shrink away. The radius is in screen pixels,
+  // whatever the zoom.
+  setBubbles(bubbles, { color, duration }) {
+    const staying = this.bubbles.filter(bubble => !bubble.leaving);
+
+    staying
+      .filter(bubble => !bubbles.some(({ id }) => id === bubble.id))
+      .forEach(bubble => {
+        bubble.leaving = true;
+        this.animateBubble(bubble, { radius: 0, color: bubble.color }, () => {
+          this.bubbles = this.bubbles.filter(other => other !== bubble);
+        });
+      });
+
+    bubbles.forEach(({ id, center, radius }) => {
+      let bubble = staying.find(other => other.id === id);
+
+      if (!bubble) {
+        bubble = { id, center, radius: 0, color };
+        this.bubbles.push(bubble);
+      }
+
+      bubble.center = center;
+      bubble.size = radius;
+      this.animateBubble(bubble, { radius, color });
+    });
+
+    // biggest first, so the small ones stay on top of them
+    this.bubbles.sort((a, b) => b.size - a.size);
+  }
+
+  animateBubble(bubble, target, end) {
+    this.animate(`bubble-${bubble.id}-${bubble.leaving ? "out" : "in"}`, {
+      duration: 500,
+      tween: () => {
+        const interpolate = d3.interpolate(
+          { radius: bubble.radius, color: bubble.color },
+          target
+        );
+
+        return t => Object.assign(bubble, interpolate(t));
+      },
+      end
+    });
+  }
+
+  // [{ x, y, radius }] painted as they are, WorldMap moves them
+  setParticles(particles) {
+    this.particles = particles;
+    this.requestFrame();
+  }
+
+  // the country under [x, y] on the canvas, if any
+  getCountryAt([x, y]) {
+    const { context } = this;
+    const path = this.getPath();
+    const ratio = this.pixelRatio;
+
+    this.applyTransform();
+
+    for (let i = this.features.length - 1; i >= 0; i--) {
+      const feature = this.features[i];
+
+      context.beginPath();
+      path(this.outlines[feature.id] || feature);
+
+      if (context.isPointInPath(x * ratio, y * ratio)) {
+        return feature;
+      }
+    }
+
+    return null;
+  }
+
+  // a point of the map on the canvas
+  toScreen([x, y]) {
+    const { scale, translate } = this.transform;
+
+    return [scale * x + translate[0], scale * y + translate[1]];
+  }
+
+  getPath() {
+    return d3.geo
+      .path()
+      .projection(this.projection)
+      .context(this.context);
+  }
+
+  applyTransform() {
+    const { scale, translate } = this.transform;
+    const ratio = this.pixelRatio;
+
+    this.context.setTransform(
+      scale * ratio,
+      0,
+      0,
+      scale * ratio,
+      translate[0] * ratio,
+      translate[1] * ratio
+    );
+  }
+
+  paint() {
+    const { context } = this;
+
+    context.setTransform(1, 0, 0, 1, 0, 0);
+    context.clearRect(0, 0, this.canvas.width, this.canvas.height);
+
+    if (!this.projection) {
+      return;
+    }
+
+    this.applyTransform();
+    this.paintCountries();
+
+    if (this.hidesOverlays) {
+      return;
+    }
+
+    this.paintBubbles();
+    this.paintArrows();
+    this.paintParticles();
+    this.paintLabels();
+  }
+
+  paintCountries() {
+    const { context } = this;
+    const path = this.getPath();
+
+    if (this.showsSphere) {
+      context.globalAlpha = 1;
+      context.beginPath();
+      path({ type: "Sphere" });
+      context.lineWidth = 0.5;
+      context.strokeStyle = sphereColor;
+      context.stroke();
+    }
+
+    this.features.forEach(feature => {
+      const style = this.countryStyles[feature.id];
+      const opacity = +style.opacity;
+
+      if (!(opacity > 0)) {
+        return;
+      }
+
+      context.beginPath();
+      path(this.outlines[feature.id] || feature);
+
+      if (style.fill !== "none") {
+        context.globalAlpha = opacity * +style["fill-opacity"];
+        context.fillStyle = style.fill;
+        context.fill();
+      }
+
+      const lineWidth = parseFloat(style["stroke-width"]);
+
+      if (style.stroke !== "none" && lineWidth > 0) {
+        context.globalAlpha = opacity * +style["stroke-opacity"];
+        context.strokeStyle = style.stroke;
+        context.lineWidth = lineWidth;
+        context.stroke();
+      }
+    });
+  }
+
+  paintBubbles() {
+    const { context } = this;
+
+    this.bubbles.forEach(({ center, radius, color }) => {
+      context.beginPath();
+      context.arc(
+        center[0],
+        center[1],
+        radius / this.transform.scale,
+        0,
+        2 * Math.PI
+      );
+      context.globalAlpha = bubbleFillOpacity;
+      context.fillStyle = color;
+      context.fill();
+      context.globalAlpha = 1;
+      context.lineWidth = 0.3;
+      context.strokeStyle = bubbleStroke;
+      context.stroke();
+    });
+  }
+
+  paintArrows() {
+    const { context } = this;
+
+    context.globalAlpha = 1;
+    this.arrows.forEach(arrow => {
+      const { points, lengths, progress } = arrow;
+      const drawnLength = progress * lengths[lengths.length - 1];
+      const head = arrow.pointAt(progress);
+
+      // the dot it starts from
+      context.beginPath();
+      context.arc(points[0][0], points[0][1], 0.3, 0, 2 * Math.PI);
+      context.fillStyle = "#000";
+      context.fill();
+
+      if (progress > 0) {
+        context.beginPath();
+        context.moveTo(...points[0]);
+        points
+          .slice(1)
+          .filter((point, i) => lengths[i + 1] < drawnLength)
+          .forEach(point => context.lineTo(...point));
+        context.lineTo(...head);
+        context.lineWidth = arrow.width;
+        context.strokeStyle = arrow.color;
+        context.stroke();
+      }
+
+      // d3's "triangle-down" symbol, turned to point the arrow's way
+      const rx = Math.sqrt(arrow.headSize / Math.sqrt(3));
+      const ry = (rx * Math.sqrt(3)) / 2;
+      const cos = Math.cos(arrow.headAngle);
+      const sin = Math.sin(arrow.headAngle);
+      const corner = ([x, y]) => [
+        head[0] + x * cos - y * sin,
+        head[1] + x * sin + y * cos
+      ];
+
+      context.beginPath();
+      context.moveTo(...corner([0, ry]));
+      context.lineTo(...corner([rx, -ry]));
+      context.lineTo(...corner([-rx, -ry]));
+      context.closePath();
+      context.fillStyle = arrow.color;
+      context.fill();
+    });
+
+    context.textAlign = "center";
+    context.fillStyle = labelColor;
+    this.flowLabels.forEach(({ text, position, fontSize, opacity }) => {
+      context.globalAlpha = opacity;
+      context.font = `600 ${fontSize}px ${this.font}`;
+      context.fillText(text, position[0], position[1] - 0.35 * fontSize);
+    });
+  }
+
+  paintParticles() {
+    const { context } = this;
+
+    context.globalAlpha = 1;
+    context.fillStyle = particleColor;
+    this.particles.forEach(({ x, y, radius }) => {
+      context.beginPath();
+      context.arc(x, y, radius, 0, 2 * Math.PI);
+      context.fill();
+    });
+  }
+
+  paintLabels() {
+    const { context } = this;
+
+    context.globalAlpha = 1;
+    context.textAlign = "center";
+    context.fillStyle = labelColor;
+    this.labels
+      .filter(label => label.drawn)
+      .forEach(({ name, drawn: { position, size } }) => {
+        context.font = `300 ${size}px ${this.font}`;
+        context.fillText(name, position[0], position[1] + 0.35 * size);
+      });
+  }
+
+  remove() {
+    if (this.frameRequest !== null) {
+      window.cancelAnimationFrame(this.frameRequest);
+    }
+    this.animations = {};
+    this.runners = {};
+    this.canvas.remove();
+  }
+}
+
+// the svg arrows' "M origin S control, destination" curve
+function getCurvePoint(origin, control, destination, t) {
+  const u = 1 - t;
+
+  return [0, 1].map(
+    axis =>
+      u * u * u * origin[axis] +
+      3 * u * u * t * origin[axis] +
+      3 * u * t * t * control[axis] +
+      t * t * t * destination[axis]
+  );
+}
+
+function getDistance([x0, y0], [x1, y1]) {
+  return Math.sqrt((x1 - x0) * (x1 - x0) + (y1 - y0) * (y1 - y0));
+}
+
+// the point share of the way along the line through points
+function getPointAlong(points, lengths, share) {
+  const length = share * lengths[lengths.length - 1];
+  const index = Math.max(
+    0,
+    Math.min(points.length - 2, d3.bisectLeft(lengths, length) - 1)
+  );
+  const segment = lengths[index + 1] - lengths[index];
+  const t = segment ? (length - lengths[index]) / segment : 0;
+  const [x0, y0] = points[index];
+  const [x1, y1] = points[index + 1];
+
+  return [x0 + (x1 - x0) * t, y0 + (y1 - y0) * t];
+}
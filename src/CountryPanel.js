@@ -0,0 +1,90 @@
+import d3 from "d3";
+import { openOverlay } from "./createClickHandlers";
+
+const sparklineWidth = 160;
+const sparklineHeight = 28;
+const barGap = 2;
+
+// Everything the story's datasets hold on one country, in an overlay like
+// the about and sources ones. Next to each value a sparkline of the values of
+// every country in the dataset, smallest to biggest, picks out its own.
+export default class CountryPanel {
+  constructor(opts) {
+    this.element = opts.element;
+    this.datasets = opts.datasets;
+    // [{ data, title, units }] in the order they're listed
+    this.entries = opts.entries;
+  }
+
+  show({ id, name }) {
+    const section = d3.select(this.element);
+    const rows = this.entries
+      .map(({ data, title, units = "" }) => {
+        const countries = [...this.datasets[data]].sort(
+          (a, b) => a.population - b.population
+        );
+        const country = countries.find(other => other.name === id);
+
+        return country
+          ? { id, title, units, countries, value: country.population }
+          : null;
+      })
+      .filter(row => row);
+
+    section.select(".country-name").text(name);
+    section.selectAll(".country-dataset").remove();
+
+    const datasets = section
+      .select(".country-datasets")
+      .selectAll(".country-dataset")
+      .data(rows)
+      .enter()
+      .append("div")
+      .attr("class", "overlay-text country-dataset");
+
+    datasets
+      .append("div")
+      .attr("class", "country-dataset-title")
+      .text(row => row.title);
+    datasets
+      .append("div")
+      .attr("class", "country-dataset-value")
+      .text(row => `${row.value}${row.units}`);
+    datasets
+      .append("svg")
+      .attr("class", "country-sparkline")
+      .attr("width", sparklineWidth)
+      .attr("height", sparklineHeight)
+      .each(function(row) {
+        drawSparkline(d3.select(this), row);
+      });
+
+    section
+      .select(".country-no-data")
+      .style("display", rows.length ? "none" : null);
+
+    openOverlay(this.element);
+  }
+}
+
+function drawSparkline(svg, { id, countries }) {
+  const x = d3.scale
+    .ordinal()
+    .domain(countries.map(({ name }) => name))
+    .rangeBands([0, sparklineWidth]);
+  const y = d3.scale
+    .linear()
+    .domain([0, d3.max(countries, ({ population }) => population)])
+    .range([sparklineHeight, 0]);
+
+  svg
+    .selectAll("rect")
+    .data(countries)
+    .enter()
+    .append("rect")
+    .classed("country-sparkline-own", ({ name }) => name === id)
+    .attr("x", ({ name }) => x(name))
+    .attr("y", ({ population }) => y(population))
+    .attr("width", Math.max(1, x.rangeBand() - barGap))
+    .attr("height", ({ population }) => sparklineHeight - y(population));
+}
@@ -0,0 +1,283 @@
+import d3 from "d3";
+import isEqual from "./utils/isEqual";
+import { createChromaScale } from "./utils/createChromaColorSet";
+import { bivariateColors } from "./utils/createBivariateColorSet";
+
+const barWidth = 140;
+const barHeight = 8;
+const rowHeight = 34;
+const cellSize = 14;
+const bivariateRowHeight = 3 * cellSize + 20;
+const stopCount = 10;
+// inner ticks closer than this to either end would cover the domain labels
+const minTickSpacing = 24;
+
+// The color scales of the choropleths on the map, one gradient per data set
+// with its domain at either end and a few breaks in between, or a square of
+// the colors of a bivariate choropleth
+export default class Legend {
+  constructor(opts) {
+    this.element = opts.element;
+    this.margins = {
+      top: 6,
+      right: 12,
+      bottom: 0,
+      left: 12
+    };
+    this.scales = [];
+
+    this.draw();
+  }
+
+  draw() {
+    this.svg = d3
+      .select(this.element)
+      .append("svg")
+      .attr("width", barWidth + this.margins.left + this.margins.right)
+      .attr("height", 0);
+
+    this.defs = this.svg.append("defs");
+    this.rows = this.svg
+      .append("g")
+      .attr(
+        "transform",
+        "translate(" + this.margins.left + "," + this.margins.top + ")"
+      );
+
+    d3.select(this.element).style("opacity", 0);
+  }
+
+  // [{ data, palette, units }] of the choropleths on the map, or { type:
+  // "bivariate", units, titles } with two data sets, none hides it
+  update(choropleths) {
+    const scales = choropleths
+      .filter(
+        (choropleth, i) =>
+          choropleths.findIndex(
+            other =>
+              other.data === choropleth.data &&
+              isEqual(other.palette, choropleth.palette)
+          ) === i
+      )
+      .map(choropleth => this.describeScale(choropleth));
+
+    if (isEqual(scales, this.scales)) {
+      return;
+    }
+    this.scales = scales;
+
+    d3.select(this.element)
+      .transition()
+      .duration(500)
+      .style("opacity", scales.length ? 1 : 0);
+
+    // the old rows stay put while the legend fades out
+    if (!scales.length) {
+      return;
+    }
+
+    this.svg
+      .transition()
+      .duration(500)
+      .attr(
+        "height",
+        d3.sum(scales, scale => scale.height) +
+          this.margins.top +
+          this.margins.bottom
+      );
+
+    this.updateGradients(scales);
+    this.updateRows(scales);
+  }
+
+  describeScale(choropleth) {
+    return choropleth.type === "bivariate"
+      ? this.describeBivariateScale(choropleth)
+      : this.describeGradientScale(choropleth);
+  }
+
+  // the first data set grows up the square, the second to the right
+  describeBivariateScale({ units = ["", ""], titles = ["", ""] }) {
+    return {
+      type: "bivariate",
+      height: bivariateRowHeight,
+      cells: bivariateColors.reduce(
+        (cells, colors, rowIndex) => [
+          ...cells,
+          ...colors.map((color, columnIndex) => ({
+            color,
+            x: columnIndex * cellSize,
+            y: (2 - rowIndex) * cellSize
+          }))
+        ],
+        []
+      ),
+      titles: titles.map((title, i) => `${title} (${units[i]})`)
+    };
+  }
+
+  describeGradientScale({ data, palette, units = "" }) {
+    const colorScale = createChromaScale(data, palette);
+    const domain = d3.extent(data, country => country.population);
+    const x = d3.scale
+      .linear()
+      .domain(domain)
+      .range([0, barWidth]);
+
+    return {
+      type: "gradient",
+      height: rowHeight,
+      units,
+      stops: d3.range(stopCount).map(i => {
+        const offset = i / (stopCount - 1);
+        return {
+          offset: `${offset * 100}%`,
+          color: colorScale(x.invert(offset * barWidth)).hex()
+        };
+      }),
+      ticks: [
+        { value: domain[0], x: 0, anchor: "start" },
+        ...x
+          .ticks(3)
+          .filter(
+            tick =>
+              x(tick) >= minTickSpacing && x(tick) <= barWidth - minTickSpacing
+          )
+          .map(tick => ({ value: tick, x: x(tick), anchor: "middle" })),
+        { value: domain[1], x: barWidth, anchor: "end" }
+      ]
+    };
+  }
+
+  updateGradients(scales) {
+    const gradients = this.defs.selectAll("linearGradient").data(scales);
+
+    gradients
+      .enter()
+      .append("linearGradient")
+      .attr("id", (scale, i) => `legend-gradient-${i}`);
+    gradients.exit().remove();
+
+    const stops = gradients.selectAll("stop").data(scale => scale.stops || []);
+
+    stops
+      .enter()
+      .append("stop")
+      .attr("stop-color", stop => stop.color);
+    stops
+      .attr("offset", stop => stop.offset)
+      .transition()
+      .duration(500)
+      .attr("stop-color", stop => stop.color);
+  }
+
+  updateRows(scales) {
+    const offsets = scales.map((scale, i) =>
+      d3.sum(scales.slice(0, i), previous => previous.height)
+    );
+    const rows = this.rows
+      .selectAll(".legend-row")
+      .data(scales, (scale, i) => `${scale.type}-${i}`);
+
+    const enteringRows = rows
+      .enter()
+      .append("g")
+      .attr("class", "legend-row")
+      .attr("transform", (scale, i) => `translate(0,${offsets[i]})`)
+      .style("opacity", 0);
+
+    enteringRows
+      .filter(scale => scale.type === "gradient")
+      .append("rect")
+      .attr("class", "legend-bar")
+      .attr("width", barWidth)
+      .attr("height", barHeight)
+      .style("fill", scale => `url(#legend-gradient-${scales.indexOf(scale)})`);
+
+    this.drawBivariateSquares(
+      enteringRows.filter(scale => scale.type === "bivariate")
+    );
+
+    rows
+      .transition()
+      .duration(500)
+      .style("opacity", 1)
+      .attr("transform", (scale, i) => `translate(0,${offsets[i]})`);
+
+    rows
+      .exit()
+      .transition()
+      .duration(500)
+      .style("opacity", 0)
+      .remove();
+
+    // breaks slide along the bar to where the new domain puts them
+    const ticks = rows
+      .filter(scale => scale.type === "gradient")
+      .selectAll(".legend-tick")
+      .data(scale =>
+        scale.ticks.map(tick => ({ ...tick, units: scale.units }))
+      );
+
+    const enteringTicks = ticks
+      .enter()
+      .append("g")
+      .attr("class", "legend-tick")
+      .attr("transform", tick => `translate(${tick.x},0)`);
+
+    enteringTicks
+      .append("line")
+      .attr("y1", 0)
+      .attr("y2", barHeight + 3);
+    enteringTicks
+      .append("text")
+      .attr("y", barHeight + 14)
+      .attr("dy", ".35em");
+
+    ticks
+      .transition()
+      .duration(500)
+      .style("opacity", 1)
+      .attr("transform", tick => `translate(${tick.x},0)`);
+    ticks
+      .select("text")
+      .attr("text-anchor", tick => tick.anchor)
+      .text(tick => `${+tick.value.toPrecision(3)}${tick.units}`);
+
+    ticks
+      .exit()
+      .transition()
+      .duration(500)
+      .style("opacity", 0)
+      .remove();
+  }
+
+  drawBivariateSquares(rows) {
+    rows
+      .selectAll(".legend-cell")
+      .data(scale => scale.cells)
+      .enter()
+      .append("rect")
+      .attr("class", "legend-cell")
+      .attr("x", cell => cell.x)
+      .attr("y", cell => cell.y)
+      .attr("width", cellSize)
+      .attr("height", cellSize)
+      .style("fill", cell => cell.color);
+
+    rows
+      .append("text")
+      .attr("class", "legend-title")
+      .attr("x", 3 * cellSize + 6)
+      .attr("y", cellSize / 2)
+      .attr("dy", ".35em")
+      .text(scale => `↑ ${scale.titles[0]}`);
+
+    rows
+      .append("text")
+      .attr("class", "legend-title")
+      .attr("y", 3 * cellSize + 10)
+      .attr("dy", ".35em")
+      .text(scale => `→ ${scale.titles[1]}`);
+  }
+}
@@ -12,9 +12,21 @@ export default class LineChart {
       left: 64
     };
 
+    this.parseData();
     this.draw();
   }
 
+  parseData() {
+    const parseDate = d3.time.format("%Y").parse;
+
+    // every column besides the date is a number, whatever the story
+    this.data.forEach(function(d) {
+      d3.keys(d).forEach(function(key) {
+        d[key] = key === "date" ? parseDate(d[key]) : +d[key];
+      });
+    });
+  }
+
   draw() {
     const boundingBox = d3
       .select(this.element)
@@ -38,6 +50,14 @@ export default class LineChart {
     this.hideIt();
   }
 
+  redraw() {
+    d3.select(this.element)
+      .select("svg")
+      .remove();
+
+    this.draw();
+  }
+
   hideIt() {
     d3.select(this.element)
       .transition()
@@ -131,21 +151,9 @@ export default class LineChart {
 
   paintIt() {
     const color = d3.scale.category10();
-    const parseDate = d3.time.format("%Y").parse;
 
     // console.warn("this.data", this.data);
 
-    this.data.forEach(function(d) {
-      d.date = parseDate(d.date);
-      d.population = +d.pop;
-      d.fertility = +d.fertility;
-      d.germanFsuToGermany = +d.germanFsuToGermany;
-      d.jewishFsuToIsrael = +d.jewishFsuToIsrael;
-      d.jewishFsuToGermany = +d.jewishFsuToGermany;
-      d.jewishFsuToUsa = +d.jewishFsuToUsa;
-      d.americanFsuToUsa = +d.americanFsuToUsa;
-    });
-
     color.domain(
       d3.keys(this.data[0]).filter(function(key) {
         return key !== "date";
@@ -196,21 +204,41 @@ export default class LineChart {
     this.svg.selectAll(".line-label").remove();
   }
 
+  clearLines() {
+    this.svg.selectAll(".y-axis").remove();
+    this.svg.selectAll(".property-line path").remove();
+    this.svg.selectAll(".horizontalGrid").remove();
+    this.svg.selectAll(".line-label").remove();
+  }
+
+  removeLine(property) {
+    this.svg.selectAll(`.${property}-line`).remove();
+    this.svg.selectAll(`.${property}-line-label`).remove();
+  }
+
   drawLine(property, domain, labelShift) {
     this.yScale.domain(domain);
     const { fill } = getLineStylesFromProperty(property);
 
+    // lines on a shared axis draw into the one already there
+    if (this.svg.select(".y-axis").empty()) {
+      this.svg
+        .append("g")
+        .attr("class", "axis y-axis")
+        .attr("fill", "lightgoldenrodyellow");
+    }
+    if (this.svg.select(".horizontalGrid").empty()) {
+      this.svg.append("line").attr("class", "horizontalGrid");
+    }
+
     this.svg
-      .append("g")
-      .attr("class", "axis y-axis")
-      .attr("fill", "lightgoldenrodyellow")
+      .select(".y-axis")
       .call(this.yAxis)
       .transition()
       .duration(500)
       .style("opacity", "1");
 
-    this.svg.append("line").attr({
-      class: "horizontalGrid",
+    this.svg.select(".horizontalGrid").attr({
       x1: 0,
       x2: this.width,
       y1: this.yScale(0),
@@ -258,6 +286,17 @@ export default class LineChart {
     this.labelLine(property, labelShift);
   }
 
+  // Reveals a drawn line up to progress (0 to 1) right away, for scrubbing
+  setLineProgress(property, progress) {
+    this.svg
+      .selectAll(`.${property}-line`)
+      .transition()
+      .duration(0)
+      .attr("stroke-dashoffset", function() {
+        return this.getTotalLength() * (1 - progress);
+      });
+  }
+
   labelLine(property, labelShift = { x: 160, y: 70 }) {
     // console.warn("line property:", property);
     // console.warn("line labelShift", labelShift);
@@ -281,7 +320,7 @@ export default class LineChart {
       .attr("transform", `translate(${x},${y})`)
       .attr("dy", ".35em")
       .attr("text-anchor", "start")
-      .attr("class", "line-label")
+      .attr("class", `line-label ${property}-line-label`)
       .style("fill", fill)
       .text(label);
   }
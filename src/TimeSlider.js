@@ -0,0 +1,76 @@
+import d3 from "d3";
+
+const yearInterval = 1000;
+
+// Play/pause button, range input and year label stepping through a list of
+// years, onChange gets the index of every year shown
+export default class TimeSlider {
+  constructor(opts) {
+    this.element = opts.element;
+    this.onChange = opts.onChange;
+    this.years = [];
+    this.index = 0;
+    this.playTimer = null;
+
+    this.range = d3
+      .select(this.element)
+      .select(".time-slider-range")
+      .on("input", () => {
+        this.pause();
+        this.setIndex(+this.range.property("value"));
+      });
+
+    this.playButton = d3
+      .select(this.element)
+      .select(".time-slider-play")
+      .on("click", () => (this.playTimer ? this.pause() : this.play()));
+  }
+
+  show(years) {
+    this.pause();
+    this.years = years;
+    this.range.attr("min", 0).attr("max", years.length - 1);
+    d3.select(this.element).style("display", "flex");
+
+    this.setIndex(0);
+    this.play();
+  }
+
+  hide() {
+    this.pause();
+    d3.select(this.element).style("display", "none");
+  }
+
+  setIndex(index) {
+    this.index = index;
+    this.range.property("value", index);
+    d3.select(this.element)
+      .select(".time-slider-year")
+      .text(this.years[index]);
+
+    this.onChange(index);
+  }
+
+  // from the start again when played at the last year
+  play() {
+    if (this.index === this.years.length - 1) {
+      this.setIndex(0);
+    }
+
+    this.playButton.text("pause");
+    this.playTimer = setInterval(() => {
+      if (this.index === this.years.length - 1) {
+        this.pause();
+        return;
+      }
+
+      this.setIndex(this.index + 1);
+    }, yearInterval);
+  }
+
+  pause() {
+    clearInterval(this.playTimer);
+    this.playTimer = null;
+    this.playButton.text("play");
+  }
+}
@@ -1,30 +1,132 @@
 import d3 from "d3";
-import createChromaColorSet from "./utils/createChromaColorSet";
+import createChromaColorSet, {
+  createChromaScale
+} from "./utils/createChromaColorSet";
+import createBivariateColorSet from "./utils/createBivariateColorSet";
+import Legend from "./Legend";
+import TimeSlider from "./TimeSlider";
+import CanvasRenderer from "./CanvasRenderer";
+import { loadTopology } from "./loadStory";
 
 import isDesktop from "./utils/isDesktop";
-import { sovietCountryIsoCodes, mapGraphicBorderWidth } from "./constants";
+import isEqual from "./utils/isEqual";
+import findVisualCenter from "./utils/findVisualCenter";
+import { mapGraphicBorderWidth } from "./constants";
+import {
+  defaultCenter,
+  projectionTypes,
+  getRawWorldBounds,
+  interpolateProjection,
+  createProjection
+} from "./projections";
 
-const rotate = -20;
-const maxlat = 83;
+// a little past the closest zoom of the story
+const maxUserScale = 20;
 
-const internationalOriginIdList = ["DEU", "ISR", "USA"];
+const arrowDuration = 1000;
+
+// flows of the time slider, at the zoom of the whole world
+const yearFlowWidths = { min: 0.2, max: 3 };
+const yearFlowColor = "#000";
+const yearFlowFontSize = 9;
+const bubbleColor = "#2a2c39";
+// how long a particle takes from one end of its flow to the other
+const particleTravelTime = 2500;
+// points along each arc the particles move between
+const particleSamples = 50;
+
+// width of a character as a share of the font size, labels aren't measured
+const averageGlyphWidth = 0.6;
+const lineHeight = 1.2;
+// where a label may go when its spot is taken, in lines up and down and half
+// a label width (plus a gap) sideways, the closest first
+const labelOffsets = [
+  [0, 0],
+  [0, -1],
+  [0, 1],
+  [1, 0],
+  [-1, 0],
+  [1, -1],
+  [-1, -1],
+  [1, 1],
+  [-1, 1],
+  [0, -2],
+  [0, 2],
+  [2, 0],
+  [-2, 0]
+];
+// arrow head area per squared arrow width, 3 for the default 0.3px arrow
+const flowHeadSize = 33;
+
+// every scene starts from these, so a style left out of a scene is reset
+const baseRegionStyles = {
+  opacity: "1",
+  fill: "#d0d0d0",
+  stroke: "#d0d0d0",
+  "stroke-width": "1",
+  "stroke-opacity": "1",
+  "fill-opacity": "1"
+};
+
+const baseWorldStyles = {
+  opacity: "0.5",
+  fill: "#d0d0d0",
+  stroke: "none",
+  "stroke-width": "0.35px",
+  "stroke-opacity": "1",
+  "fill-opacity": "1"
+};
 
 export default class WorldMap {
   constructor(opts) {
     this.data = opts.data;
-    this.sovietDataPoints = opts.data.filter(country =>
-      sovietCountryIsoCodes.includes(country.id)
-    );
+    // { countries, core, destinations } of the story, see public/stories
+    this.region = opts.region;
     this.element = opts.element;
+    // called with { id, name } of a region country the reader clicks
+    this.onCountryClick = opts.onCountryClick;
+    // "svg", or "canvas" to paint the map on a canvas, see CanvasRenderer
+    this.renderer = opts.renderer || "svg";
+    // { url, object, minScale } of finer outlines for zooming in, if any
+    this.detailTopology = opts.detailTopology;
+    // { [countryId]: [lon, lat] } where arrows start and end, see getAnchor
+    this.anchors = opts.anchors || {};
+    // { [countryId]: feature } drawn from the detail topology right now
+    this.detailedOutlines = {};
+    this.storyZoom = { scale: 1, translateX: 0, translateY: 0 };
+    this.zoomTransitionEnd = 0;
+    // while animateProjection morphs the map
+    this.reprojecting = false;
+    // { [countryId]: { value, units } } behind the choropleths on the map
+    this.choroplethValues = {};
+    // [{ data, selection, palette, units }] shown in the legend
+    this.choropleths = [];
+    // { [countryId]: { value, units } } of the bubbles, for the tooltips of
+    // countries without a choropleth value
+    this.bubbleValues = {};
+    // the particles running along the flows, see startParticles
+    this.particles = null;
+    this.projectionSpec = { name: "mercator" };
+    this.legend = new Legend({
+      element: d3
+        .select(this.element)
+        .select(".map-legend")
+        .node()
+    });
+    this.timeSlider = new TimeSlider({
+      element: d3
+        .select(this.element)
+        .select(".map-time-slider")
+        .node(),
+      onChange: index => this.showYear(index)
+    });
+    // what showYears steps through, null when it isn't shown
+    this.yearsShown = null;
     this.draw();
-  }
 
-  getMercatorBounds(projection) {
-    const yaw = projection.rotate()[0];
-    const xymax = projection([-yaw + 180 - 1e-6, -maxlat]);
-    const xymin = projection([-yaw - 180 + 1e-6, maxlat]);
-
-    return [xymin, xymax];
+    d3.select(this.element)
+      .select(".map-reset-button")
+      .on("click", () => this.resetUserZoom());
   }
 
   draw() {
@@ -44,155 +146,1032 @@ export default class WorldMap {
 
     this.height = boundingBox.height;
 
-    // define width, height and margin
-    this.projection = d3.geo
-      .mercator()
-      .rotate([rotate, 0])
-      .scale(1) // we'll scale up to match viewport shortly.
-      .translate([this.width / 2, this.height / 2]);
+    this.setProjection(this.projectionSpec);
 
-    this.initialScale = this.getInitialScale();
-    this.projection.scale(this.initialScale);
-    this.path = d3.geo.path().projection(this.projection);
+    if (this.renderer === "canvas") {
+      this.drawCanvas();
+    } else {
+      this.drawSvg();
+    }
+
+    this.setupUserZoom(this.surface);
+    this.setUserZoomed(false);
+    this.renderPaths(this.path);
+    this.setupTooltips(this.surface);
+
+    this.animateCountryStyles({
+      duration: 500,
+      countryStyles: this.resolveCountryStyles([])
+    });
+  }
 
+  drawSvg() {
     const svg = d3
       .select(this.element)
       .append("svg")
       .attr("width", this.width)
       .attr("height", this.height);
+    this.surface = svg;
 
     this.mapGraphic = svg.append("g").attr("id", "map");
 
-    // TODO: give russia a seperate handle from others
-    this.mapGraphic
-      .selectAll("path")
+    // the outline of the globe, flat maps go without
+    this.sphere = this.mapGraphic.append("path").attr("class", "sphere");
+    this.countries = this.appendCountries(this.mapGraphic);
+
+    // above the countries, below the labels and arrows
+    this.bubbleLayer = this.mapGraphic.append("g").attr("class", "bubbles");
+  }
+
+  // The canvas takes the place of the svg. The countries' classes are kept
+  // on paths that are never drawn, for the sections of the story to pick
+  // countries by.
+  drawCanvas() {
+    this.countries = this.appendCountries(
+      d3.select(document.createElementNS(d3.ns.prefix.svg, "g"))
+    );
+    this.canvasRenderer = new CanvasRenderer({
+      element: d3.select(this.element).node(),
+      features: this.countries
+        .filter(function() {
+          return this.style.display !== "none";
+        })
+        .data(),
+      width: this.width,
+      height: this.height
+    });
+    this.surface = d3.select(this.canvasRenderer.canvas);
+  }
+
+  appendCountries(parent) {
+    const { countries, core, destinations } = this.region;
+
+    return parent
+      .selectAll(".country")
       .data(this.data)
       .enter()
       .append("path")
-      .attr("d", this.path)
       .style("stroke-width", 0.35 + "px")
       .attr("class", "country")
       .attr("id", function(d, i) {
         return d.id;
       })
       .attr("class", function(datapoint, i) {
-        if (internationalOriginIdList.includes(datapoint.id)) {
-          return "intl-country country";
+        if (destinations.includes(datapoint.id)) {
+          return "destination-country country";
         }
-        if (datapoint.id === "RUS") {
-          return "soviet-country country";
+        if (datapoint.id === core) {
+          return "region-country core-country country";
         }
-        if (sovietCountryIsoCodes.includes(datapoint.id)) {
-          return "soviet-country fsu-state country";
+        if (countries.includes(datapoint.id)) {
+          return "region-country member-country country";
         }
-        return "non-soviet-country country";
+        return "outside-country country";
       })
       .style("display", function(datum) {
         if (datum.id === "ATA" && !isDesktop()) {
           return "none";
         }
       });
+  }
 
-    this.animateSectionStyles({
-      duration: 500,
-      section: ".soviet-country",
-      styles: {
-        opacity: "1",
-        fill: "#d0d0d0",
-        stroke: "#d0d0d0",
-        "stroke-width": "1"
-      }
+  redraw() {
+    this.timeSlider.hide();
+    this.yearsShown = null;
+    this.stopParticles();
+    if (this.canvasRenderer) {
+      this.canvasRenderer.remove();
+      this.canvasRenderer = null;
+    } else {
+      // the legend keeps its own svg
+      this.surface.remove();
+    }
+
+    this.draw();
+  }
+
+  // { name, center } of a scene, center being a country id or [lon, lat]
+  setProjection(projectionSpec) {
+    this.projectionSpec = projectionSpec;
+    this.projectionDescription = this.describeProjection(projectionSpec);
+    this.projection = createProjection(this.projectionDescription);
+    this.path = d3.geo.path().projection(this.projection);
+
+    const { type, scale, translate } = this.projectionDescription;
+    const [[x0, y0], [x1, y1]] = getRawWorldBounds(type);
+
+    this.worldBounds = [
+      [translate[0] + scale * x0, translate[1] + scale * y0],
+      [translate[0] + scale * x1, translate[1] + scale * y1]
+    ];
+  }
+
+  // The projection fitted to the map, facing the center (flat maps only
+  // turn sideways)
+  describeProjection({ name = "mercator", center = defaultCenter }) {
+    const type = projectionTypes[name];
+
+    if (!type) {
+      throw new Error(`Unknown projection in scene spec: ${name}`);
+    }
+
+    const [lon, lat] =
+      typeof center === "string"
+        ? d3.geo.centroid(this.data.find(country => country.id === center))
+        : center;
+    const [[x0, y0], [x1, y1]] = getRawWorldBounds(type);
+    const scale = Math.min(this.width / (x1 - x0), this.height / (y1 - y0));
+
+    return {
+      type,
+      rotate: [-lon, type.clipAngle ? -lat : 0],
+      scale,
+      translate: [
+        this.width / 2 - (scale * (x0 + x1)) / 2,
+        this.height / 2 - (scale * (y0 + y1)) / 2
+      ]
+    };
+  }
+
+  // Morphs the map into another projection, or spins the globe around.
+  // With spinFrom, a flat map turns into a globe facing that country first.
+  // Labels and arrows are hidden until the map settles.
+  animateProjection({ duration, ...projectionSpec }) {
+    const from = this.projectionDescription;
+    const { spinFrom } = projectionSpec;
+    const stops =
+      spinFrom && !from.type.clipAngle
+        ? [this.describeProjection({ ...projectionSpec, center: spinFrom })]
+        : [];
+
+    this.setProjection(projectionSpec);
+    stops.push(this.projectionDescription);
+
+    this.hideTooltip();
+    this.setReprojecting(true);
+
+    if (this.canvasRenderer) {
+      this.animateCanvasProjection(from, stops, duration);
+      return;
+    }
+
+    const transition = stops.reduce((previousTransition, stop, index) => {
+      const previous = index ? stops[index - 1] : from;
+      const stopTransition = previousTransition
+        ? previousTransition.transition()
+        : this.mapGraphic.transition("projection");
+
+      return stopTransition
+        .duration(duration / stops.length)
+        .tween("projection", () => {
+          const interpolate = interpolateProjection(previous, stop);
+          return t =>
+            this.renderPaths(d3.geo.path().projection(interpolate(t)));
+        });
+    }, null);
+
+    transition.each("end", () => {
+      this.renderPaths(this.path);
+      this.setReprojecting(false);
     });
+  }
 
-    this.animateSectionStyles({
-      duration: 500,
-      section: ".non-soviet-country,.intl-country",
-      styles: {
-        opacity: "0.5",
-        fill: "#d0d0d0",
-        stroke: "none"
+  // one animation through all the stops, each eased like a transition
+  animateCanvasProjection(from, stops, duration) {
+    const ease = d3.ease("cubic-in-out");
+    const interpolators = stops.map((stop, index) =>
+      interpolateProjection(index ? stops[index - 1] : from, stop)
+    );
+
+    this.canvasRenderer.animate("projection", {
+      duration,
+      ease: "linear",
+      tween: () => t => {
+        const index = Math.min(stops.length - 1, Math.floor(t * stops.length));
+        const projection = interpolators[index](ease(t * stops.length - index));
+
+        this.renderPaths(d3.geo.path().projection(projection));
+      },
+      end: () => {
+        this.renderPaths(this.path);
+        this.setReprojecting(false);
       }
     });
   }
 
-  getInitialScale() {
-    const b = this.getMercatorBounds(this.projection);
-    const s = this.width / (b[1][0] - b[0][0]);
-    const scaleExtent = [s, 10 * s];
-    return scaleExtent[0];
+  setReprojecting(reprojecting) {
+    this.reprojecting = reprojecting;
+
+    if (this.canvasRenderer) {
+      this.canvasRenderer.setHidesOverlays(reprojecting);
+    } else {
+      this.mapGraphic.classed("reprojecting", reprojecting);
+    }
+  }
+
+  renderPaths(path) {
+    if (this.canvasRenderer) {
+      this.canvasRenderer.setPath(path, this.detailedOutlines);
+      return;
+    }
+
+    const isGlobe = path.projection().clipAngle() !== null;
+
+    this.sphere.attr("d", isGlobe ? path({ type: "Sphere" }) : null);
+    this.countries.attr("d", country =>
+      path(this.detailedOutlines[country.id] || country)
+    );
   }
 
+  // a new fill paints over any choropleth on the section
   animateSectionStyles({ duration, section, styles, delay = 0 } = {}) {
-    d3.select(this.element)
-      .selectAll(section)
-      .transition()
-      .delay(delay)
-      .duration(duration)
-      .style(styles);
+    if (styles.fill !== undefined) {
+      this.removeChoropleths(section);
+      this.updateLegend();
+      this.hideTooltip();
+    }
+
+    const countryStyles = {};
+    this.countries.filter(section).each(datum => {
+      countryStyles[datum.id] = { styles, delay };
+    });
+
+    this.animateCountryStyles({ duration, countryStyles });
+  }
+
+  // Resolves the full style of every country: its base styles, then each
+  // matching rule in order. Returns { [countryId]: { styles, delay } }
+  resolveCountryStyles(rules) {
+    const countryStyles = {};
+
+    this.countries.each(function(datum) {
+      const matchingRules = rules.filter(rule => this.matches(rule.section));
+      const baseStyles = d3.select(this).classed("region-country")
+        ? baseRegionStyles
+        : baseWorldStyles;
+
+      const styles = matchingRules.reduce((merged, rule) => {
+        const ruleStyles =
+          typeof rule.styles === "function" ? rule.styles(datum) : rule.styles;
+        return { ...merged, ...ruleStyles };
+      }, baseStyles);
+      const delay = Math.max(0, ...matchingRules.map(rule => rule.delay || 0));
+
+      countryStyles[datum.id] = { styles, delay };
+    });
+
+    return countryStyles;
+  }
+
+  // One transition per country, so overlapping rules don't interrupt
+  // each other. Countries missing from countryStyles are left alone.
+  animateCountryStyles({ duration, countryStyles }) {
+    if (this.canvasRenderer) {
+      this.canvasRenderer.animateCountryStyles(countryStyles, duration);
+      return;
+    }
+
+    this.countries
+      .filter(datum => countryStyles[datum.id])
+      .each(function(datum) {
+        const { styles, delay } = countryStyles[datum.id];
+
+        d3.select(this)
+          .transition()
+          .delay(delay)
+          .duration(duration)
+          .style(styles);
+      });
   }
 
   animateMapZoom({ scale, translateX, translateY, duration }) {
-    this.mapGraphic
-      .transition()
-      .duration(duration)
-      .attr(
-        "transform",
-        `scale(${scale})translate(${translateX},${translateY})`
+    const translate = [scale * translateX, scale * translateY];
+
+    this.storyZoom = { scale, translateX, translateY };
+    this.zoomTransitionEnd = Date.now() + duration;
+    this.zoomBehavior.scale(scale).translate(translate);
+    this.setUserZoomed(false);
+    this.hideTooltip();
+
+    if (this.canvasRenderer) {
+      this.canvasRenderer.animateTransform(scale, translate, duration);
+    } else {
+      this.mapGraphic
+        .transition()
+        .duration(duration)
+        .attr("transform", toMapTransform(scale, translate));
+    }
+    this.layoutLabels(duration);
+    this.layoutBubbles(duration);
+    this.updateLevelOfDetail();
+  }
+
+  // Zoomed in to the detail topology's minScale or closer, the countries in
+  // view are drawn from it, loaded the first time it's needed. Zoomed back
+  // out they get their own outlines back.
+  updateLevelOfDetail() {
+    if (!this.detailTopology) {
+      return;
+    }
+
+    const { minScale } = this.detailTopology;
+
+    if (this.zoomBehavior.scale() < minScale) {
+      this.setDetailedOutlines([]);
+      return;
+    }
+
+    if (!this.detailFeatures) {
+      this.detailFeatures = loadTopology(this.detailTopology);
+    }
+
+    this.detailFeatures
+      .then(detailFeatures => {
+        // the story or the reader may have zoomed out while it loaded
+        if (this.zoomBehavior.scale() < minScale) {
+          return;
+        }
+
+        const visibleIds = this.getVisibleCountryIds();
+
+        this.setDetailedOutlines(
+          detailFeatures.filter(feature => visibleIds.includes(feature.id))
+        );
+      })
+      .catch(error => {
+        console.warn("no detailed outlines, keeping the map's own", error);
+        this.detailTopology = null;
+      });
+  }
+
+  setDetailedOutlines(features) {
+    const detailedOutlines = {};
+    features.forEach(feature => {
+      detailedOutlines[feature.id] = feature;
+    });
+
+    if (
+      isEqual(Object.keys(detailedOutlines), Object.keys(this.detailedOutlines))
+    ) {
+      return;
+    }
+
+    this.detailedOutlines = detailedOutlines;
+
+    // a change of projection draws them once it's done
+    if (!this.reprojecting) {
+      this.renderPaths(this.path);
+    }
+  }
+
+  // ids of the countries in the part of the map the zoom shows
+  getVisibleCountryIds() {
+    const scale = this.zoomBehavior.scale();
+    const [translateX, translateY] = this.zoomBehavior.translate();
+    const view = [
+      [-translateX / scale, -translateY / scale],
+      [(this.width - translateX) / scale, (this.height - translateY) / scale]
+    ];
+
+    return this.data
+      .filter(country => {
+        const bounds = this.getCountryBounds(country);
+        return bounds && getOverlapArea(bounds, view) > 0;
+      })
+      .map(country => country.id);
+  }
+
+  // Zooms in until the countries fill the map, short of padding (a fraction
+  // of the map size) on every side
+  zoomToCountries(ids, { padding = 0.1, duration = 500 } = {}) {
+    this.animateMapZoom({ ...this.getCountriesZoom(ids, padding), duration });
+  }
+
+  getCountriesZoom(ids, padding = 0.1) {
+    const countryBounds = this.data
+      .filter(country => ids.includes(country.id))
+      .map(country => this.getCountryBounds(country))
+      .filter(bounds => bounds);
+
+    // e.g. countries on the far side of the globe
+    if (!countryBounds.length) {
+      return { scale: 1, translateX: 0, translateY: 0 };
+    }
+
+    const [[x0, y0], [x1, y1]] = countryBounds.reduce(unionBounds);
+
+    const scale = Math.max(
+      1,
+      Math.min(
+        (this.width * (1 - 2 * padding)) / (x1 - x0),
+        (this.height * (1 - 2 * padding)) / (y1 - y0)
+      )
+    );
+
+    return {
+      scale,
+      translateX: this.width / 2 / scale - (x0 + x1) / 2,
+      translateY: this.height / 2 / scale - (y0 + y1) / 2
+    };
+  }
+
+  // Bounds of the country on the map, leaving out the islands (and parts
+  // of polygons) the edge of the map puts on the far side of the world,
+  // e.g. the tip of Alaska
+  getCountryBounds(country) {
+    const rings = this.getCountryRings(country);
+
+    return rings && rings.map(getRingBounds).reduce(unionBounds);
+  }
+
+  // The [[x, y], ...] rings of a country's path, leaving out pieces that
+  // wrapped around to the other side of a flat map (e.g. the tip of Russia)
+  getCountryRings(country) {
+    const countryPath = this.path(country);
+
+    if (!countryPath) {
+      return null;
+    }
+
+    const rings = countryPath
+      .split("M")
+      .filter(piece => piece)
+      .map(parseRing);
+    const ringBounds = rings.map(getRingBounds);
+    const [[mainX0], [mainX1]] = ringBounds.reduce((largest, bounds) =>
+      boundsArea(bounds) > boundsArea(largest) ? bounds : largest
+    );
+    const mainCenter = (mainX0 + mainX1) / 2;
+
+    return rings.filter(
+      (ring, i) =>
+        Math.abs((ringBounds[i][0][0] + ringBounds[i][1][0]) / 2 - mainCenter) <
+        this.width / 2
+    );
+  }
+
+  // Readers can drag the map, pinch it, or zoom it with ctrl + wheel (a plain
+  // wheel keeps scrolling the story), kept within the bounds of the world.
+  // The story takes over again the next time it moves the map.
+  setupUserZoom(surface) {
+    // zoomstart comes with any mousedown, a click on a country included, so
+    // the story's zoom is only stopped once the map really moves
+    let gestureMoved = false;
+
+    this.zoomBehavior = d3.behavior
+      .zoom()
+      .scaleExtent([1, maxUserScale])
+      .on("zoomstart", () => {
+        gestureMoved = false;
+      })
+      .on("zoom", () => {
+        // the canvas stops its own zoom animation when it's moved
+        if (!gestureMoved) {
+          gestureMoved = true;
+          if (!this.canvasRenderer) {
+            this.mapGraphic.interrupt();
+          }
+          this.zoomTransitionEnd = 0;
+        }
+
+        const { scale } = d3.event;
+        const [[minX, minY], [maxX, maxY]] = this.worldBounds;
+        const translate = [
+          clampTranslate(d3.event.translate[0], scale, minX, maxX, this.width),
+          clampTranslate(d3.event.translate[1], scale, minY, maxY, this.height)
+        ];
+
+        this.zoomBehavior.translate(translate);
+        this.setUserZoomed(true);
+        this.hideTooltip();
+        if (this.canvasRenderer) {
+          this.canvasRenderer.setTransform(scale, translate);
+        } else {
+          this.mapGraphic.attr("transform", toMapTransform(scale, translate));
+        }
+        this.layoutLabels();
+        this.layoutBubbles();
+      });
+
+    surface.call(this.zoomBehavior);
+
+    const wheeled = surface.on("wheel.zoom");
+    const touchstarted = surface.on("touchstart.zoom");
+
+    // d3 puts its own touchstart listener back once a gesture ends
+    const filterGestures = () => {
+      surface
+        .on("wheel.zoom", function() {
+          if (d3.event.ctrlKey || d3.event.metaKey) {
+            wheeled.apply(this, arguments);
+          }
+        })
+        .on("touchstart.zoom", function() {
+          if (d3.event.touches.length > 1) {
+            touchstarted.apply(this, arguments);
+          }
+        });
+    };
+
+    this.zoomBehavior.on("zoomend", filterGestures);
+    this.zoomBehavior.on("zoomend.detail", () => this.updateLevelOfDetail());
+    filterGestures();
+  }
+
+  setUserZoomed(userZoomed) {
+    this.userZoomed = userZoomed;
+    d3.select(this.element).classed("user-zoomed", userZoomed);
+  }
+
+  // back to where the story last put the map
+  resetUserZoom() {
+    this.animateMapZoom({ ...this.storyZoom, duration: 500 });
+  }
+
+  // Hovering or tapping a country with a value in the choropleths shows it,
+  // tapping the sea hides it again. The pointer can move on from the country
+  // to the tooltip's "more" link.
+  setupTooltips(surface) {
+    const tooltip = d3.select(this.element).select(".map-tooltip");
+    const hideUnlessOnTooltip = () => {
+      if (!tooltip.node().contains(d3.event.relatedTarget)) {
+        this.hideTooltip();
+      }
+    };
+
+    tooltip.on("mouseleave.tooltip", () => this.hideTooltip());
+
+    if (this.canvasRenderer) {
+      this.setupCanvasTooltips(surface, hideUnlessOnTooltip);
+      return;
+    }
+
+    this.countries
+      .on("mouseenter.tooltip", datum => this.showTooltip(datum))
+      .on("click.tooltip", datum => this.showTooltip(datum))
+      .on("mouseleave.tooltip", hideUnlessOnTooltip);
+
+    surface.on("click.tooltip", () => {
+      if (d3.event.target === surface.node()) {
+        this.hideTooltip();
+      }
+    });
+  }
+
+  // the canvas finds the country under the pointer itself
+  setupCanvasTooltips(canvas, hideUnlessOnTooltip) {
+    let hovered = null;
+    const getCountry = () =>
+      this.canvasRenderer.getCountryAt(d3.mouse(canvas.node()));
+
+    canvas
+      .on("mousemove.tooltip", () => {
+        const country = getCountry();
+
+        if (country !== hovered) {
+          hovered = country;
+          if (country) {
+            this.showTooltip(country);
+          } else {
+            this.hideTooltip();
+          }
+        }
+      })
+      .on("mouseleave.tooltip", () => {
+        hovered = null;
+        hideUnlessOnTooltip();
+      })
+      .on("click.tooltip", () => {
+        const country = getCountry();
+
+        if (country) {
+          this.showTooltip(country);
+        } else {
+          this.hideTooltip();
+        }
+      });
+  }
+
+  // The choropleths on the map from now on, [{ data, selection, palette,
+  // units }] or [{ type: "bivariate", data: [a, b], selection, units: [a, b],
+  // titles: [a, b] }], none leaves the map in neutral gray
+  setChoropleths(choropleths) {
+    this.choroplethValues = {};
+    this.choropleths = [];
+    choropleths.forEach(choropleth => this.recordChoropleth(choropleth));
+    this.updateLegend();
+    this.hideTooltip();
+  }
+
+  // the choropleths on the map, and the years' colors while they're shown
+  updateLegend() {
+    this.legend.update(
+      this.yearsShown
+        ? [...this.choropleths, this.yearsShown.legendRow]
+        : this.choropleths
+    );
+  }
+
+  recordChoropleth(choropleth) {
+    if (choropleth.type === "bivariate") {
+      this.recordBivariateChoropleth(choropleth);
+      return;
+    }
+
+    const { data, selection, palette, units = "" } = choropleth;
+    this.choropleths = [
+      ...this.choropleths,
+      { data, selection, palette, units }
+    ];
+
+    this.countries.filter(selection).each(datum => {
+      const countryData = data.find(country => country.name === datum.id);
+
+      if (countryData) {
+        this.choroplethValues[datum.id] = {
+          value: countryData.population,
+          units
+        };
+      }
+    });
+  }
+
+  // Takes the values of the countries in selection out of the tooltips, and
+  // the choropleths left on none of the other countries off the legend
+  removeChoropleths(selection) {
+    const countryIds = this.getCountryIds(selection);
+
+    countryIds.forEach(id => {
+      delete this.choroplethValues[id];
+    });
+    this.choropleths = this.choropleths.filter(
+      choropleth =>
+        !this.getCountryIds(choropleth.selection).every(id =>
+          countryIds.includes(id)
+        )
+    );
+  }
+
+  getCountryIds(selection) {
+    const countryIds = [];
+
+    this.countries.filter(selection).each(datum => countryIds.push(datum.id));
+
+    return countryIds;
+  }
+
+  // the tooltip shows both values of the country
+  recordBivariateChoropleth({
+    data,
+    selection,
+    units = ["", ""],
+    titles = ["", ""]
+  }) {
+    const [datasetA, datasetB] = data;
+    this.choropleths = [
+      ...this.choropleths,
+      { type: "bivariate", data, selection, units, titles }
+    ];
+
+    this.countries.filter(selection).each(datum => {
+      const countryA = datasetA.find(country => country.name === datum.id);
+      const countryB = datasetB.find(country => country.name === datum.id);
+
+      if (countryA && countryB) {
+        this.choroplethValues[datum.id] = {
+          value: `${countryA.population}${units[0]} · ${countryB.population}`,
+          units: units[1]
+        };
+      }
+    });
+  }
+
+  // Region countries get a "more" link to their panel, with or without a
+  // value, so a tap still shows the tooltip first
+  showTooltip(datum) {
+    const choroplethValue =
+      this.choroplethValues[datum.id] || this.bubbleValues[datum.id];
+    const opensPanel = this.onCountryClick && this.isRegionCountry(datum);
+
+    if (!choroplethValue && !opensPanel) {
+      this.hideTooltip();
+      return;
+    }
+
+    const [x, y] = this.toScreen(this.path.centroid(datum));
+
+    const tooltip = d3.select(this.element).select(".map-tooltip");
+
+    tooltip.select(".map-tooltip-name").text(datum.properties.name);
+    tooltip
+      .select(".map-tooltip-value")
+      .style("display", choroplethValue ? null : "none")
+      .text(
+        choroplethValue
+          ? `${choroplethValue.value}${choroplethValue.units}`
+          : ""
       );
+    tooltip
+      .select(".map-tooltip-more")
+      .style("display", opensPanel ? null : "none")
+      .on("click", () => {
+        this.hideTooltip();
+        this.onCountryClick({ id: datum.id, name: datum.properties.name });
+      });
+    tooltip.style({
+      display: "block",
+      left: `${x}px`,
+      top: `${y}px`
+    });
+  }
+
+  // a point of the map wherever the story or the reader zoomed it to
+  toScreen([x, y]) {
+    if (this.canvasRenderer) {
+      return this.canvasRenderer.toScreen([x, y]);
+    }
+
+    const point = this.surface.node().createSVGPoint();
+    point.x = x;
+    point.y = y;
+    const { x: screenX, y: screenY } = point.matrixTransform(
+      this.mapGraphic.node().getCTM()
+    );
+
+    return [screenX, screenY];
+  }
+
+  isRegionCountry(datum) {
+    return this.countries
+      .filter(country => country === datum)
+      .classed("region-country");
+  }
+
+  hideTooltip() {
+    d3.select(this.element)
+      .select(".map-tooltip")
+      .style("display", "none");
   }
 
   removeLabels() {
+    if (this.canvasRenderer) {
+      this.canvasRenderer.setLabels([]);
+      return;
+    }
+
     this.mapGraphic.selectAll(".place-label").remove();
   }
 
-  createCountryLabel(countryId, labelShift = [0, 0], fontSize = 3.5) {
-    const countryData = this.data.filter(country => country.id === countryId);
+  removeLabel(countryId) {
+    if (this.canvasRenderer) {
+      this.canvasRenderer.setLabels(
+        this.canvasRenderer.labels.filter(label => label.id !== countryId)
+      );
+      return;
+    }
+
+    this.mapGraphic.selectAll(`.${countryId}-place-label`).remove();
+  }
 
-    if (isDesktop()) {
-      fontSize += 1.2;
+  // fontSize is in screen pixels, whatever the zoom
+  createCountryLabel(countryId, fontSize = 12) {
+    // countries on the far side of the globe go without
+    const labelData = this.data
+      .filter(country => country.id === countryId && this.path(country))
+      .map(country => ({
+        id: countryId,
+        name: country.properties.name,
+        anchor: findVisualCenter(this.getCountryRings(country)),
+        area: this.path.area(country),
+        fontSize: isDesktop() ? fontSize + 2 : fontSize
+      }));
+
+    if (this.canvasRenderer) {
+      const { labels } = this.canvasRenderer;
+
+      if (!labels.some(label => label.id === countryId)) {
+        this.canvasRenderer.setLabels([...labels, ...labelData]);
+      }
+      this.layoutLabels();
+      return;
     }
 
     this.mapGraphic
-      .selectAll(`${countryId}-place-label`)
-      .data(countryData)
+      .selectAll(`.${countryId}-place-label`)
+      .data(labelData)
       .enter()
       .append("text")
       .attr("class", `place-label ${countryId}-place-label`)
-      .attr("transform", d => {
-        const [x, y] = this.path.centroid(d);
-        return `translate(${x},${y})`;
-      })
-      .attr("x", labelShift[0])
-      .attr("y", labelShift[1])
-      .text(d => {
-        return d.properties.name;
-      })
-      .style("font-size", fontSize + "px");
+      .attr("text-anchor", "middle")
+      .attr("dy", ".35em")
+      .text(label => label.name);
+
+    this.layoutLabels();
+  }
+
+  // Places the labels for the current zoom: they keep their size on screen,
+  // bigger countries get their labels on their visual center and the labels
+  // of smaller ones move aside to the closest spot that's still free. Labels
+  // move along with a story zoom that's still under way.
+  layoutLabels(duration = Math.max(0, this.zoomTransitionEnd - Date.now())) {
+    const scale = this.zoomBehavior.scale();
+    const placedBoxes = [];
+    const labels = this.canvasRenderer
+      ? this.canvasRenderer.labels
+      : this.mapGraphic.selectAll(".place-label").data();
+
+    labels
+      .sort((a, b) => b.area - a.area)
+      .forEach(label => {
+        const fontSize = label.fontSize / scale;
+        const width = label.name.length * fontSize * averageGlyphWidth;
+        const boxes = labelOffsets.map(([dx, dy]) => {
+          const x = label.anchor[0] + (dx * (width + fontSize)) / 2;
+          const y = label.anchor[1] + dy * fontSize * lineHeight;
+          return [
+            [x - width / 2, y - fontSize / 2],
+            [x + width / 2, y + fontSize / 2]
+          ];
+        });
+        const overlaps = boxes.map(box =>
+          d3.sum(placedBoxes, placed => getOverlapArea(box, placed))
+        );
+        const box = boxes[overlaps.indexOf(d3.min(overlaps))];
+
+        placedBoxes.push(box);
+        label.isNew = !label.position;
+        label.position = [box[0][0] + width / 2, box[0][1] + fontSize / 2];
+        label.size = fontSize;
+      });
+
+    if (this.canvasRenderer) {
+      this.canvasRenderer.moveLabels(duration);
+      return;
+    }
+
+    const texts = this.mapGraphic
+      .selectAll(".place-label")
+      .sort((a, b) => b.area - a.area);
+
+    // new labels start out where they belong
+    texts.filter(label => label.isNew).call(placeLabels);
+    texts
+      .transition("layout")
+      .duration(duration)
+      .call(placeLabels);
   }
 
   createPopulationChoropleth(
     populationData,
     selection,
     colorRangeOverride,
-    strokeOverride
+    strokeOverride,
+    units
   ) {
+    this.removeChoropleths(selection);
+    this.recordChoropleth({
+      data: populationData,
+      selection,
+      palette: colorRangeOverride,
+      units
+    });
+    this.updateLegend();
+
     const chromaDataCodes = createChromaColorSet(
       populationData,
       colorRangeOverride
     );
 
-    d3.selectAll(selection)
+    this.animateChoropleth(selection, chromaDataCodes, strokeOverride);
+  }
+
+  // Colors the selection by the thirds of both data sets it falls in, see
+  // createBivariateColorSet
+  createBivariateChoropleth(
+    populationDataA,
+    populationDataB,
+    selection,
+    { strokeOverride, units, titles } = {}
+  ) {
+    this.removeChoropleths(selection);
+    this.recordChoropleth({
+      type: "bivariate",
+      data: [populationDataA, populationDataB],
+      selection,
+      units,
+      titles
+    });
+    this.updateLegend();
+
+    const bivariateColorCodes = createBivariateColorSet(
+      populationDataA,
+      populationDataB
+    );
+
+    this.animateChoropleth(selection, bivariateColorCodes, strokeOverride);
+  }
+
+  animateChoropleth(selection, colorCodes, strokeOverride) {
+    const countryStyles = {};
+
+    this.countries.filter(selection).each(datum => {
+      countryStyles[datum.id] = {
+        styles: {
+          opacity: "1",
+          fill: colorCodes[datum.id],
+          stroke: strokeOverride || colorCodes[datum.id],
+          "stroke-width": "0.1px"
+        },
+        delay: 0
+      };
+    });
+
+    this.animateCountryStyles({ duration: 500, countryStyles });
+  }
+
+  // Circles on the anchors of the countries in populationData, their area
+  // growing with the value, alongside or instead of a choropleth. Another
+  // data set grows and shrinks them to its values, none shrinks them away.
+  // maxRadius is in screen pixels, whatever the zoom.
+  drawBubbles(
+    populationData,
+    { maxRadius = 24, color = bubbleColor, units = "" } = {}
+  ) {
+    const radius = d3.scale
+      .sqrt()
+      .domain([0, d3.max(populationData, country => country.population) || 1])
+      .range([0, maxRadius]);
+    // countries on the far side of a globe go without
+    const bubbles = populationData
+      .map(country => ({
+        id: country.name,
+        value: country.population,
+        center: this.getAnchor(country.name),
+        size: radius(country.population),
+        color
+      }))
+      .filter(({ center }) => center && !center.some(isNaN));
+
+    this.bubbleValues = {};
+    bubbles.forEach(({ id, value }) => {
+      this.bubbleValues[id] = { value, units };
+    });
+
+    if (this.canvasRenderer) {
+      this.canvasRenderer.setBubbles(
+        bubbles.map(({ id, center, size }) => ({ id, center, radius: size })),
+        { color, duration: 500 }
+      );
+      return;
+    }
+
+    const circles = this.bubbleLayer
+      .selectAll(".bubble")
+      .data(bubbles, bubble => bubble.id);
+
+    circles
+      .enter()
+      .append("circle")
+      .attr("class", "bubble")
+      .attr("r", 0);
+
+    // biggest first, so the small ones stay on top of them
+    circles
+      .sort((a, b) => b.value - a.value)
+      .attr("cx", bubble => bubble.center[0])
+      .attr("cy", bubble => bubble.center[1]);
+
+    // leaving bubbles aren't picked up again by the next data set
+    circles
+      .exit()
+      .classed("bubble", false)
       .transition()
       .duration(500)
-      .style("opacity", "1")
-      .style("fill", d => chromaDataCodes[d.id])
-      .style("stroke", d => {
-        if (strokeOverride) {
-          return strokeOverride;
-        }
-        return chromaDataCodes[d.id];
-      })
-      .style("stroke-width", 0.1 + "px");
+      .attr("r", 0)
+      .remove();
+
+    this.layoutBubbles(500);
+  }
+
+  // Sizes the bubbles for the current zoom, like the labels. The canvas
+  // sizes them as it paints.
+  layoutBubbles(duration = Math.max(0, this.zoomTransitionEnd - Date.now())) {
+    if (this.canvasRenderer) {
+      return;
+    }
+
+    const scale = this.zoomBehavior.scale();
+
+    this.bubbleLayer
+      .selectAll(".bubble")
+      .transition()
+      .duration(duration)
+      .attr("r", bubble => bubble.size / scale)
+      .style("fill", bubble => bubble.color);
+  }
+
+  clearBubbles() {
+    this.drawBubbles([]);
   }
 
   moveMapContainer({ duration, ...positionStyles }) {
@@ -203,48 +1182,491 @@ export default class WorldMap {
   }
 
   clearArrows() {
+    this.stopParticles();
+
+    if (this.canvasRenderer) {
+      this.canvasRenderer.clearArrows();
+      return;
+    }
+
     this.mapGraphic.selectAll(".centroid").remove();
     this.mapGraphic.selectAll(".arc").remove();
     this.mapGraphic.selectAll(".arrow-head").remove();
+    this.mapGraphic.selectAll(".flow-label").remove();
+  }
+
+  // Draws [{ origin, destination, value }] rows as arrows sized and colored
+  // by value, biggest first, and labels the labelCount biggest of them. With
+  // a particleScale, particles keep flowing along them once they're drawn.
+  drawFlows(
+    flows,
+    {
+      widthScale,
+      colorScale,
+      particleScale,
+      stagger = 150,
+      curveOffset = 15,
+      labelCount = 0,
+      labelFormat = value => value,
+      labelFontSize = 3
+    }
+  ) {
+    const sortedFlows = [...flows].sort((a, b) => b.value - a.value);
+
+    sortedFlows.forEach((flow, i) => {
+      const width = widthScale(flow.value);
+      const delay = i * stagger;
+      const flowClass = getFlowClass(flow);
+      const arrow = this.animateArrowFromTo(
+        flow.origin,
+        flow.destination,
+        colorScale(flow.value),
+        width,
+        flowHeadSize * width * width,
+        curveOffset,
+        delay
+      );
+
+      if (!arrow) {
+        return;
+      }
+
+      const { arc, head } = arrow;
+
+      if (this.canvasRenderer) {
+        arc.key = flowClass;
+      } else {
+        arc.classed(flowClass, true);
+        head.classed(flowClass, true);
+      }
+
+      if (i < labelCount) {
+        this.labelFlow(arc, flowClass, labelFormat(flow.value), {
+          fontSize: labelFontSize,
+          delay: delay + arrowDuration
+        });
+      }
+    });
+
+    if (particleScale) {
+      this.startParticles(sortedFlows, { widthScale, particleScale, stagger });
+    }
   }
 
+  // Sends particles along the arcs of the flows, particleScale(value) of
+  // them a second, each arc starting once it's drawn. They run until
+  // clearArrows, on one timer moving them between points sampled from the
+  // arcs up front.
+  startParticles(flows, { widthScale, particleScale, stagger }) {
+    this.stopParticles();
+
+    // the canvas paints the dots it's given, no layer
+    const layer = this.canvasRenderer
+      ? null
+      : this.mapGraphic.append("g").attr("class", "particles");
+    const streams = flows
+      .map((flow, i) => {
+        const arc = this.getFlowArc(getFlowClass(flow));
+
+        // flows left off the map get no particles
+        if (!arc) {
+          return null;
+        }
+
+        return {
+          flowClass: getFlowClass(flow),
+          points: d3
+            .range(particleSamples + 1)
+            .map(sample => this.getArcPoint(arc, sample / particleSamples)),
+          start: i * stagger + arrowDuration,
+          rate: particleScale(flow.value),
+          radius: widthScale(flow.value),
+          // the first particle sets off right away
+          pending: 1
+        };
+      })
+      .filter(stream => stream);
+    const particles = { layer, streams, dots: [], stopped: false };
+    let previousElapsed = 0;
+
+    const tick = elapsed => {
+      if (particles.stopped) {
+        return true;
+      }
+
+      // a tab in the background doesn't get a burst of them when it's back
+      const interval = Math.min(elapsed - previousElapsed, 100);
+      previousElapsed = elapsed;
+
+      streams
+        .filter(stream => elapsed >= stream.start)
+        .forEach(stream => {
+          stream.pending += (stream.rate * interval) / 1000;
+
+          for (; stream.pending >= 1; stream.pending -= 1) {
+            particles.dots.push({
+              stream,
+              born: elapsed,
+              dot: layer
+                ? layer
+                    .append("circle")
+                    .attr("class", "particle")
+                    .attr("r", stream.radius)
+                : { radius: stream.radius }
+            });
+          }
+        });
+
+      particles.dots = particles.dots.filter(({ stream, born, dot }) => {
+        const progress = (elapsed - born) / particleTravelTime;
+
+        if (progress >= 1) {
+          if (layer) {
+            dot.remove();
+          }
+          return false;
+        }
+
+        const position = progress * particleSamples;
+        const index = Math.floor(position);
+        const [x0, y0] = stream.points[index];
+        const [x1, y1] = stream.points[index + 1];
+        const share = position - index;
+        const x = x0 + (x1 - x0) * share;
+        const y = y0 + (y1 - y0) * share;
+
+        if (layer) {
+          dot.attr("cx", x).attr("cy", y);
+        } else {
+          Object.assign(dot, { x, y });
+        }
+        return true;
+      });
+
+      if (!layer) {
+        this.canvasRenderer.setParticles(particles.dots.map(({ dot }) => dot));
+      }
+    };
+
+    if (this.canvasRenderer) {
+      this.canvasRenderer.run("particles", tick);
+    } else {
+      d3.timer(tick);
+    }
+
+    this.particles = particles;
+  }
+
+  // new values for the particles of flows already flowing
+  setParticleRates(flows, { widthScale, particleScale }) {
+    if (!this.particles) {
+      return;
+    }
+
+    flows.forEach(flow => {
+      const stream = this.particles.streams.find(
+        ({ flowClass }) => flowClass === getFlowClass(flow)
+      );
+
+      if (stream) {
+        stream.rate = particleScale(flow.value);
+        stream.radius = widthScale(flow.value);
+      }
+    });
+  }
+
+  stopParticles() {
+    if (!this.particles) {
+      return;
+    }
+
+    this.particles.stopped = true;
+    if (this.canvasRenderer) {
+      this.canvasRenderer.stop("particles");
+      this.canvasRenderer.setParticles([]);
+    } else {
+      this.particles.layer.remove();
+    }
+    this.particles = null;
+  }
+
+  // the arc animateArrowFromTo drew for a flow in drawFlows, if any
+  getFlowArc(flowClass) {
+    if (this.canvasRenderer) {
+      return this.canvasRenderer.arrows.find(arrow => arrow.key === flowClass);
+    }
+
+    const arc = this.mapGraphic.select(`.arc.${flowClass}`);
+
+    return arc.empty() ? null : arc;
+  }
+
+  // the point share (0 to 1) of the way along an arc
+  getArcPoint(arc, share) {
+    if (this.canvasRenderer) {
+      return arc.pointAt(share);
+    }
+
+    const path = arc.node();
+    const point = path.getPointAtLength(path.getTotalLength() * share);
+
+    return [point.x, point.y];
+  }
+
+  // Where arrows start and end in a country: its anchor from the story when
+  // the map shows it, otherwise the visual center of what's shown of it
+  getAnchor(countryId) {
+    const anchor = this.anchors[countryId];
+
+    if (anchor && this.isFacingReader(anchor)) {
+      return this.projection(anchor);
+    }
+
+    const country = this.data.find(({ id }) => id === countryId);
+    const rings = this.getCountryRings(country);
+
+    return rings ? findVisualCenter(rings) : this.path.centroid(country);
+  }
+
+  // everything on a flat map, the near side of a globe
+  isFacingReader(lonLat) {
+    const clipAngle = this.projection.clipAngle();
+
+    if (clipAngle === null) {
+      return true;
+    }
+
+    const [lambda, phi] = this.projection.rotate();
+
+    return (
+      d3.geo.distance(lonLat, [-lambda, -phi]) < (clipAngle * Math.PI) / 180
+    );
+  }
+
+  // Sizes and colors the flows drawn by drawFlows for new values
+  resizeFlows(
+    flows,
+    {
+      widthScale,
+      colorScale,
+      particleScale,
+      labelFormat = value => value,
+      duration = 500
+    }
+  ) {
+    if (particleScale) {
+      this.setParticleRates(flows, { widthScale, particleScale });
+    }
+
+    flows.forEach(flow => {
+      const flowClass = getFlowClass(flow);
+      const width = widthScale(flow.value);
+      const color = colorScale(flow.value);
+
+      if (this.canvasRenderer) {
+        this.canvasRenderer.arrows
+          .filter(arrow => arrow.key === flowClass)
+          .forEach(arrow =>
+            this.canvasRenderer.resizeArrow(arrow, {
+              width,
+              color,
+              headSize: flowHeadSize * width * width,
+              duration
+            })
+          );
+        this.canvasRenderer.setFlowLabelText(
+          flowClass,
+          labelFormat(flow.value)
+        );
+        return;
+      }
+
+      this.mapGraphic
+        .selectAll(`.arc.${flowClass}`)
+        .transition("resize")
+        .duration(duration)
+        .style("stroke-width", width + "px")
+        .style("stroke", color);
+      this.mapGraphic
+        .selectAll(`.arrow-head.${flowClass}`)
+        .transition("resize")
+        .duration(duration)
+        .attr(
+          "d",
+          d3.svg
+            .symbol()
+            .type("triangle-down")
+            .size(flowHeadSize * width * width)
+        )
+        .attr("fill", color);
+      this.mapGraphic
+        .selectAll(`.flow-label.${flowClass}`)
+        .text(labelFormat(flow.value));
+    });
+  }
+
+  // Steps the colors of the destinations and the flows to them through
+  // [{ year, values: { [countryId]: value } }] with the time slider
+  showYears({ years, from, palette, units = "", particles }) {
+    const destinations = Object.keys(years[0].values);
+    // one scale for all years, so they can be told apart
+    const rows = years.reduce(
+      (allRows, { values }) => [
+        ...allRows,
+        ...destinations.map(id => ({ name: id, population: values[id] }))
+      ],
+      []
+    );
+
+    this.yearsShown = {
+      years,
+      from,
+      units,
+      destinations,
+      // the row of the years' colors under the choropleths in the legend
+      legendRow: { data: rows, palette, units },
+      colorScale: createChromaScale(rows, palette),
+      widthScale: d3.scale
+        .linear()
+        .domain([0, d3.max(rows, row => row.population)])
+        .range([yearFlowWidths.min, yearFlowWidths.max]),
+      // particles a second at the biggest flow of all years
+      particleScale:
+        particles &&
+        d3.scale
+          .linear()
+          .domain([0, d3.max(rows, row => row.population)])
+          .range([0, particles])
+    };
+
+    this.updateLegend();
+    this.clearArrows();
+    this.drawFlows(this.getYearFlows(0), {
+      widthScale: this.yearsShown.widthScale,
+      colorScale: () => yearFlowColor,
+      particleScale: this.yearsShown.particleScale,
+      labelCount: destinations.length,
+      labelFormat: value => `${value}${units}`,
+      labelFontSize: yearFlowFontSize
+    });
+    this.timeSlider.show(years.map(({ year }) => year));
+  }
+
+  showYear(index) {
+    const {
+      years,
+      units,
+      destinations,
+      colorScale,
+      widthScale,
+      particleScale
+    } = this.yearsShown;
+    const { values } = years[index];
+    const countryStyles = {};
+
+    destinations.forEach(id => {
+      const color = colorScale(values[id]).hex();
+
+      countryStyles[id] = {
+        styles: { opacity: "1", fill: color, stroke: color },
+        delay: 0
+      };
+      this.choroplethValues[id] = { value: values[id], units };
+    });
+
+    this.animateCountryStyles({ duration: 500, countryStyles });
+
+    this.resizeFlows(this.getYearFlows(index), {
+      widthScale,
+      colorScale: () => yearFlowColor,
+      particleScale,
+      labelFormat: value => `${value}${units}`
+    });
+  }
+
+  getYearFlows(index) {
+    const { years, from, destinations } = this.yearsShown;
+
+    return destinations.map(id => ({
+      origin: from,
+      destination: id,
+      value: years[index].values[id]
+    }));
+  }
+
+  hideYears() {
+    this.timeSlider.hide();
+    this.yearsShown = null;
+    this.updateLegend();
+    this.clearArrows();
+  }
+
+  // the label sits on top of the middle of the arc once it's drawn
+  labelFlow(arc, flowClass, text, { fontSize, delay }) {
+    const middle = this.getArcPoint(arc, 0.5);
+
+    if (this.canvasRenderer) {
+      return this.canvasRenderer.addFlowLabel({
+        key: flowClass,
+        text,
+        position: middle,
+        fontSize,
+        delay
+      });
+    }
+
+    const label = this.mapGraphic
+      .append("text")
+      .attr("class", `flow-label ${flowClass}`)
+      .attr("x", middle[0])
+      .attr("y", middle[1])
+      .attr("dy", "-0.35em")
+      .attr("text-anchor", "middle")
+      .style("font-size", fontSize + "px")
+      .style("opacity", 0)
+      .text(text);
+
+    label
+      .transition()
+      .delay(delay)
+      .duration(300)
+      .style("opacity", 1);
+
+    return label;
+  }
+
+  // Returns { arc, head } of the arrow, or null when either country is on
+  // the far side of the globe and the arrow is left out
   animateArrowFromTo(
     originId = "USA",
     destinationId = "RUS",
     arrowColor = "#000",
     arrowWidth = 0.3,
     arrowHeadSize = 3,
-    curveoffset = 15
+    curveoffset = 15,
+    delay = 0
   ) {
-    const originDataPoint = this.data.find(country => country.id === originId);
-    const destinationDataPoint = this.data.find(
-      country => country.id === destinationId
-    );
+    const origin = this.getAnchor(originId);
+    const destination = this.getAnchor(destinationId);
 
-    let origin = this.path.centroid(originDataPoint);
-    let destination = this.path.centroid(destinationDataPoint);
-
-    if (originId === "RUS") {
-      origin[0] -= 40;
-      origin[1] += 11;
-    } else if (destinationId === "RUS") {
-      destination[0] -= 40;
-      destination[1] += 11;
-    }
-
-    if (destinationId === "USA") {
-      destination[0] += 15;
-      destination[1] += 15;
+    if ([origin, destination].some(point => !point || point.some(isNaN))) {
+      return null;
     }
 
-    if (destinationId === "ISR") {
-      destination[0] += 1;
-      destination[1] -= 2;
-    }
+    // the canvas draws the arc and its head as one arrow
+    if (this.canvasRenderer) {
+      const arrow = this.canvasRenderer.addArrow({
+        origin,
+        destination,
+        curveOffset: curveoffset,
+        color: arrowColor,
+        width: arrowWidth,
+        headSize: arrowHeadSize,
+        delay,
+        duration: arrowDuration
+      });
 
-    if (destinationId === "DEU") {
-      destination[0] += 2;
-      destination[1] -= 2;
+      return { arc: arrow, head: arrow };
     }
 
     // console.warn("from", originId, "at", origin);
@@ -321,8 +1743,10 @@ export default class WorldMap {
     const totalLength = arcPath.getTotalLength();
 
     arc
+      .attr("stroke-dasharray", "0," + totalLength)
       .transition()
-      .duration(1000)
+      .delay(delay)
+      .duration(arrowDuration)
       .ease("linear")
       .attrTween("stroke-dasharray", function() {
         return d3.interpolateString(
@@ -331,10 +1755,36 @@ export default class WorldMap {
         );
       });
 
-    this.animateArrowHead(arc, arrowColor, arrowHeadSize);
+    const head = this.animateArrowHead(arc, arrowColor, arrowHeadSize, delay);
+
+    return { arc, head };
+  }
+
+  // Draws every arrow up to progress (0 to 1) right away, for scrubbing
+  setArrowProgress(progress) {
+    if (this.canvasRenderer) {
+      this.canvasRenderer.setArrowProgress(progress);
+      return;
+    }
+
+    const arcs = this.mapGraphic.selectAll(".arc");
+
+    arcs
+      .transition()
+      .duration(0)
+      .attr("stroke-dasharray", function() {
+        const totalLength = this.getTotalLength();
+        return totalLength * progress + "," + totalLength;
+      });
+
+    this.mapGraphic
+      .selectAll(".arrow-head")
+      .transition()
+      .duration(0)
+      .attr("transform", (d, i) => this.translateAlong(arcs[0][i])()(progress));
   }
 
-  animateArrowHead(path, arrowColor, arrowHeadSize) {
+  animateArrowHead(path, arrowColor, arrowHeadSize, delay = 0) {
     var arrow = this.mapGraphic
       .append("svg:path")
       .attr("class", "arrow-head")
@@ -348,10 +1798,14 @@ export default class WorldMap {
       .attr("fill", arrowColor);
 
     arrow
+      .attr("transform", this.translateAlong(path.node())()(0))
       .transition()
-      .duration(1000)
+      .delay(delay)
+      .duration(arrowDuration)
       .ease("linear")
       .attrTween("transform", this.translateAlong(path.node()));
+
+    return arrow;
   }
 
   translateAlong(path) {
@@ -368,3 +1822,68 @@ export default class WorldMap {
     };
   }
 }
+
+function toMapTransform(scale, [x, y]) {
+  return `scale(${scale})translate(${x / scale},${y / scale})`;
+}
+
+// Keeps the world filling the map along one axis, or centered in it when
+// the world is the smaller of the two
+function clampTranslate(translate, scale, worldMin, worldMax, size) {
+  const min = size - scale * worldMax;
+  const max = -scale * worldMin;
+
+  if (min > max) {
+    return (min + max) / 2;
+  }
+
+  return Math.max(min, Math.min(max, translate));
+}
+
+function unionBounds([[ax0, ay0], [ax1, ay1]], [[bx0, by0], [bx1, by1]]) {
+  return [
+    [Math.min(ax0, bx0), Math.min(ay0, by0)],
+    [Math.max(ax1, bx1), Math.max(ay1, by1)]
+  ];
+}
+
+// the points of one "M..." piece of an svg path
+function parseRing(piece) {
+  const numbers = piece.match(/-?[\d.]+(e-?\d+)?/g).map(Number);
+
+  return d3
+    .range(0, numbers.length - 1, 2)
+    .map(i => [numbers[i], numbers[i + 1]]);
+}
+
+function getRingBounds(ring) {
+  return [
+    [d3.min(ring, point => point[0]), d3.min(ring, point => point[1])],
+    [d3.max(ring, point => point[0]), d3.max(ring, point => point[1])]
+  ];
+}
+
+// labels or transitions of them
+function placeLabels(selection) {
+  selection
+    .attr("x", label => label.position[0])
+    .attr("y", label => label.position[1])
+    .style("font-size", label => label.size + "px");
+}
+
+function getFlowClass({ origin, destination }) {
+  return `flow-${origin}-${destination}`;
+}
+
+function getOverlapArea([[ax0, ay0], [ax1, ay1]], [[bx0, by0], [bx1, by1]]) {
+  const overlapWidth = Math.min(ax1, bx1) - Math.max(ax0, bx0);
+  const overlapHeight = Math.min(ay1, by1) - Math.max(ay0, by0);
+
+  return overlapWidth > 0 && overlapHeight > 0
+    ? overlapWidth * overlapHeight
+    : 0;
+}
+
+function boundsArea([[x0, y0], [x1, y1]]) {
+  return (x1 - x0) * (y1 - y0);
+}
@@ -1,117 +1 @@
 export const mapGraphicBorderWidth = 3;
-
-export const sovietCountryIsoCodes = [
-  "ARM",
-  "AZE",
-  "BLR",
-  "EST",
-  "GEO",
-  "KAZ",
-  "KGZ",
-  "LVA",
-  "LTU",
-  "MDA",
-  "RUS",
-  "TJK",
-  "TKM",
-  "UKR",
-  "UZB"
-];
-
-export const sovietLabels = {
-  ARM: [-16, 3],
-  AZE: [-14, 7],
-  BLR: [-20, 2],
-  EST: [-13, -3],
-  GEO: [-18, 1],
-  KAZ: [-3, 0],
-  KGZ: [1, 4],
-  LVA: [-15, -2],
-  LTU: [-18, 0],
-  MDA: [-18, 2],
-  RUS: [-40, 10],
-  TJK: [2, 6],
-  TKM: [-8, 10],
-  UKR: [-23, 0],
-  UZB: [-6, -1]
-};
-
-// Step 2
-export const populationsIn1989millions = [
-  { name: "ARM", population: 3 },
-  { name: "AZE", population: 6 },
-  { name: "BLR", population: 9.6 },
-  { name: "EST", population: 14.7 },
-  { name: "GEO", population: 5 },
-  { name: "KAZ", population: 16.5 },
-  { name: "KGZ", population: 3.5 },
-  { name: "LVA", population: 2.5 },
-  { name: "LTU", population: 3.4 },
-  { name: "MDA", population: 4 },
-  { name: "TJK", population: 3.8 },
-  { name: "TKM", population: 2.8 },
-  { name: "UKR", population: 51.7 },
-  { name: "UZB", population: 19.9 },
-  { name: "RUS", population: 147 }
-];
-
-export const russianPopulationsIn198millions = [
-  { name: "ARM", population: 0.05 },
-  { name: "AZE", population: 0.4 },
-  { name: "BLR", population: 1.3 },
-  { name: "EST", population: 0.5 },
-  { name: "GEO", population: 0.3 },
-  { name: "KAZ", population: 6.2 },
-  { name: "KGZ", population: 0.9 },
-  { name: "LVA", population: 0.9 },
-  { name: "LTU", population: 0.3 },
-  { name: "MDA", population: 0.6 },
-  { name: "TJK", population: 0.4 },
-  { name: "TKM", population: 0.3 },
-  { name: "UKR", population: 11.4 },
-  { name: "UZB", population: 1.7 }
-];
-
-// Step 3
-// in thousands
-export const netMigrantsToRussia1989to2002 = [
-  { name: "ARM", population: 0.03 },
-  { name: "AZE", population: 0.2 },
-  { name: "BLR", population: 0.01 },
-  { name: "EST", population: 0.06 },
-  { name: "GEO", population: 0.16 },
-  { name: "KAZ", population: 1.3 },
-  { name: "KGZ", population: 0.24 },
-  { name: "LVA", population: 0.1 },
-  { name: "LTU", population: 0.05 },
-  { name: "MDA", population: 0.07 },
-  { name: "TJK", population: 0.23 },
-  { name: "TKM", population: 0.1 },
-  { name: "UKR", population: 0.35 },
-  { name: "UZB", population: 0.5 }
-];
-
-// Step 4
-// in thousands
-export const percentMigrantsToRussia1989to2002 = [
-  { name: "ARM", population: 66 },
-  { name: "AZE", population: 49.8 },
-  { name: "BLR", population: 0.7 },
-  { name: "EST", population: 12.4 },
-  { name: "GEO", population: 47.5 },
-  { name: "KAZ", population: 20.1 },
-  { name: "KGZ", population: 26.7 },
-  { name: "LVA", population: 10.6 },
-  { name: "LTU", population: 13.5 },
-  { name: "MDA", population: 11.5 },
-  { name: "TJK", population: 59.8 },
-  { name: "TKM", population: 29.4 },
-  { name: "UKR", population: 3.1 },
-  { name: "UZB", population: 30 }
-];
-
-export const migrationAbroadDestination1995to2002 = [
-  { name: "DEU", population: 59 },
-  { name: "ISR", population: 25 },
-  { name: "USA", population: 11 }
-];
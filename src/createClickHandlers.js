@@ -1,48 +1,43 @@
 import d3 from "d3";
-// click handlers
-export default function createClickHandlers() {
-  d3.selectAll(".about-button").on("click", () => {
-    d3.select(".about-section").style({
-      display: "flex"
+
+// Fades in a full page overlay where the reader has scrolled to, the close
+// buttons below take it away again
+export function openOverlay(selector) {
+  d3.select(selector).style({
+    display: "flex"
+  });
+
+  d3.select(selector)
+    .transition()
+    .duration(250)
+    .style({
+      opacity: 1
     });
 
-    d3.select(".about-section")
-      .transition()
-      .duration(250)
-      .style({
-        opacity: 1
-      });
+  d3.selectAll(selector).style("top", window.scrollY + "px");
 
-    d3.selectAll(".about-section").style("top", window.scrollY + "px");
+  d3.select("body").style("overflow", "hidden");
+}
 
-    d3.select("body").style("overflow", "hidden");
+// click handlers
+export default function createClickHandlers() {
+  d3.selectAll(".about-button").on("click", () => {
+    openOverlay(".about-section");
   });
 
   d3.selectAll(".sources-button").on("click", () => {
-    d3.select(".sources-section").style({
-      display: "flex"
-    });
-    d3.select(".sources-section")
-      .transition()
-      .duration(250)
-      .style({
-        opacity: 1
-      });
-
-    d3.selectAll(".sources-section").style("top", window.scrollY + "px");
-
-    d3.select("body").style("overflow", "hidden");
+    openOverlay(".sources-section");
   });
 
   d3.selectAll(".close-overlay-button").on("click", () => {
-    d3.selectAll(".about-section,.sources-section")
+    d3.selectAll(".overlay-section")
       .transition()
       .duration(250)
       .style({
         opacity: 0
       });
 
-    d3.selectAll(".about-section,.sources-section")
+    d3.selectAll(".overlay-section")
       .transition()
       .duration(250)
       .delay(250)
@@ -0,0 +1,44 @@
+import d3 from "d3";
+import { scrollToStep } from "./stepLinks";
+
+// Keeps track of the current step, and moves the story to another step
+// without the reader scrolling there (keyboard, autoplay, step links)
+export default function createStepNavigator(storyBus) {
+  const stepCount = d3.selectAll(".scroll-text .step").size();
+  let currentStepIndex = null;
+
+  storyBus.on("step:enter.navigator", ({ index }) => {
+    currentStepIndex = index;
+  });
+
+  storyBus.on("story:exit.navigator", ({ direction }) => {
+    if (direction === "up") {
+      currentStepIndex = null;
+    }
+  });
+
+  function goToStep(stepIndex) {
+    const clampedIndex = Math.max(0, Math.min(stepCount - 1, stepIndex));
+    const previousStepIndex = currentStepIndex;
+    const direction =
+      previousStepIndex === null || clampedIndex > previousStepIndex
+        ? "down"
+        : "up";
+
+    scrollToStep(clampedIndex);
+
+    if (previousStepIndex !== null && previousStepIndex !== clampedIndex) {
+      storyBus["step:exit"]({ index: previousStepIndex, direction });
+    }
+
+    storyBus["step:enter"]({ index: clampedIndex, direction, jumped: true });
+
+    return clampedIndex;
+  }
+
+  return {
+    goToStep,
+    getCurrentStepIndex: () => currentStepIndex,
+    stepCount
+  };
+}
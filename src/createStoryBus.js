@@ -0,0 +1,13 @@
+import d3 from "d3";
+
+// Everything that reacts to the story moving subscribes here instead of being
+// handed to setupScrollama, e.g. storyBus.on("step:enter.legend", handler).
+//
+// step:enter    { index, direction, jumped } a step became the current one,
+//               jumped is true when it was reached without scrolling
+// step:exit     { index, direction } the current step was left
+// step:progress { index, progress } scroll progress (0 to 1) through a step
+// story:exit    { direction } scrolled out of the story, above or below it
+export default function createStoryBus() {
+  return d3.dispatch("step:enter", "step:exit", "step:progress", "story:exit");
+}
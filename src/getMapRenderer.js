@@ -0,0 +1,9 @@
+const rendererParamPattern = /[?&]renderer=(svg|canvas)\b/;
+
+// ?renderer=canvas paints the map on a canvas instead of svg elements, see
+// CanvasRenderer
+export default function getMapRenderer() {
+  const match = window.location.search.match(rendererParamPattern);
+
+  return match ? match[1] : "svg";
+}
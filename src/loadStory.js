@@ -0,0 +1,62 @@
+import d3 from "d3";
+import * as d3Fetch from "d3-fetch";
+import topojson from "topojson";
+
+const storyParamPattern = /[?&]story=([^&]+)/;
+
+// ?story=<name> picks a manifest in public/stories, otherwise the story
+// index.html was built with is told
+export function getStoryName() {
+  const match = window.location.search.match(storyParamPattern);
+
+  return match ? decodeURIComponent(match[1]) : getBuiltStoryName();
+}
+
+// the story whose steps index.html holds until others are swapped in
+export function getBuiltStoryName() {
+  return d3.select(".scroll").attr("data-story");
+}
+
+// Fetches the story manifest and everything it names
+export default async function loadStory(storyName) {
+  const manifest = await d3Fetch.json(`./stories/${storyName}.json`);
+  const [topology, timeSeries, datasets, scenes] = await Promise.all([
+    d3Fetch.json(manifest.topology.url),
+    d3Fetch.tsv(manifest.timeSeries),
+    d3Fetch.json(manifest.datasets),
+    d3Fetch.json(manifest.scenes)
+  ]);
+  const features = getFeatures(topology, manifest.topology.object);
+
+  return { ...manifest, features, timeSeries, datasets, scenes };
+}
+
+// The countries of a { url, object } topology, for maps loaded later on
+export async function loadTopology({ url, object }) {
+  return getFeatures(await d3Fetch.json(url), object);
+}
+
+function getFeatures(topology, object) {
+  return topojson.feature(topology, topology.objects[object]).features;
+}
+
+// index.html only holds the steps of the story it was built with, the steps
+// of any other story are swapped in from the html the build wrote for it.
+// Returns whether the steps changed
+export async function showStorySteps(storyName) {
+  const scroll = d3.select(".scroll");
+
+  if (scroll.attr("data-story") === storyName) {
+    return false;
+  }
+
+  const stepsMarkup = await d3Fetch.text(`./stories/${storyName}.html`);
+
+  scroll
+    .selectAll(".scroll-text, .bar-graphic-container, .line-graphic-container")
+    .remove();
+  scroll.node().insertAdjacentHTML("beforeend", stepsMarkup);
+  scroll.attr("data-story", storyName);
+
+  return true;
+}
@@ -1,45 +1,124 @@
-import * as d3Fetch from "d3-fetch";
 import setupScrollama from "./setupScrollama.js";
 import applyContainerStyles from "./applyContainerStyles";
 import createClickHandlers from "./createClickHandlers";
-import topojson from "topojson";
 import WorldMap from "./WorldMap.js";
 import BarChart from "./BarChart.js";
 import LineChart from "./LineChart.js";
-import { populationsIn1989millions } from "./constants";
+import SceneEngine from "./sceneEngine.js";
+import matchScenesToSteps from "./matchScenesToSteps";
+import d3 from "d3";
+import loadStory, {
+  getStoryName,
+  getBuiltStoryName,
+  showStorySteps
+} from "./loadStory";
+import setupStepLinks from "./stepLinks.js";
+import createStoryBus from "./createStoryBus";
+import createStepNavigator from "./createStepNavigator";
+import setupPresentationMode from "./setupPresentationMode";
+import setupAutoplay from "./setupAutoplay";
+import setupResizeHandling from "./setupResizeHandling";
+import getMapRenderer from "./getMapRenderer";
+import CountryPanel from "./CountryPanel";
 
+// reloads start from the top, unless the url links to a step (see stepLinks)
 window.onbeforeunload = function() {
   window.scrollTo(0, 1);
 };
 
 applyContainerStyles();
 createClickHandlers();
-initializeGraphics();
+initializeGraphics().catch(showLoadError);
 
 async function initializeGraphics() {
-  const worldTopo = await d3Fetch.json("./data/world-topo-110m.json");
-  const countries = topojson.feature(worldTopo, worldTopo.objects.subunits);
-  const features = countries.features;
+  const story = await loadRequestedStory();
+
+  const countryPanel = new CountryPanel({
+    element: ".country-section",
+    datasets: story.datasets,
+    entries: story.countryPanel || []
+  });
 
   const worldMap = new WorldMap({
-    data: features,
-    element: ".map-graphic-container"
+    data: story.features,
+    region: story.region,
+    detailTopology: story.detailTopology,
+    anchors: story.anchors,
+    element: ".map-graphic-container",
+    renderer: getMapRenderer(),
+    onCountryClick: country => countryPanel.show(country)
   });
 
   const barChart = new BarChart({
     element: ".bar-graphic",
-    data: populationsIn1989millions
+    data: story.datasets[story.barChart]
   });
 
-  const russiaPopulationOverTime = await d3Fetch.tsv(
-    "./data/soviet-immigration-over-time.tsv"
-  );
-
   const lineChart = new LineChart({
-    data: russiaPopulationOverTime,
+    data: story.timeSeries,
     element: ".line-graphic",
     headerElement: ".line-graphic-header"
   });
 
-  setupScrollama(worldMap, barChart, lineChart);
+  const scenes = matchScenesToSteps(story.scenes);
+
+  const storyBus = createStoryBus();
+
+  const sceneEngine = new SceneEngine({
+    scenes,
+    story,
+    storyBus,
+    worldMap,
+    barChart,
+    lineChart
+  });
+
+  const stepNavigator = createStepNavigator(storyBus);
+
+  const scroller = setupScrollama(storyBus, {
+    progress: scenes.some(scene => scene.scrub)
+  });
+  setupStepLinks(scenes, storyBus, stepNavigator);
+  setupPresentationMode(storyBus, stepNavigator);
+  setupAutoplay(scenes, stepNavigator);
+  setupResizeHandling({
+    scroller,
+    sceneEngine,
+    graphics: [worldMap, barChart, lineChart]
+  });
+}
+
+// A story in the url that doesn't load (misspelled, or its files missing)
+// falls back to the one index.html was built with
+async function loadRequestedStory() {
+  const storyName = getStoryName();
+  const builtStoryName = getBuiltStoryName();
+
+  try {
+    return await showAndLoadStory(storyName);
+  } catch (error) {
+    if (storyName === builtStoryName) {
+      throw error;
+    }
+
+    console.warn(`story "${storyName}" failed to load`, error);
+    return showAndLoadStory(builtStoryName);
+  }
+}
+
+async function showAndLoadStory(storyName) {
+  if (await showStorySteps(storyName)) {
+    applyContainerStyles();
+  }
+
+  return loadStory(storyName);
+}
+
+function showLoadError(error) {
+  console.error(error);
+
+  d3.select(".map-graphic-container")
+    .append("div")
+    .attr("class", "map-load-error")
+    .text("The story couldn't be loaded, try reloading the page.");
 }
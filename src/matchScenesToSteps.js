@@ -0,0 +1,24 @@
+import d3 from "d3";
+
+// Lines up the scenes with the .step elements: a step names its scene with
+// data-scene (see scripts/buildStory.js), a step without one gets the scene
+// at its own position
+export default function matchScenesToSteps(scenes) {
+  const steps = d3.selectAll(".scroll-text .step")[0];
+
+  return steps.map((step, index) => {
+    const sceneName = step.getAttribute("data-scene");
+
+    if (!sceneName) {
+      return scenes[index];
+    }
+
+    const scene = scenes.find(scene => scene.name === sceneName);
+
+    if (!scene) {
+      throw new Error(`Step ${index} names an unknown scene: ${sceneName}`);
+    }
+
+    return scene;
+  });
+}
@@ -0,0 +1,132 @@
+import d3 from "d3";
+
+// flat maps are cut off at this latitude
+const maxlat = 83;
+const maxPhi = (maxlat * Math.PI) / 180;
+
+// the center of a flat map when the scene doesn't pick one
+export const defaultCenter = [20, 0];
+
+// Equal Earth (Šavrič, Patterson & Jenny, 2018): an equal-area world map,
+// so Russia and Kazakhstan keep their true size next to their neighbours
+const A1 = 1.340264;
+const A2 = -0.081106;
+const A3 = 0.000893;
+const A4 = 0.003796;
+const M = Math.sqrt(3) / 2;
+
+function equalEarthRaw(lambda, phi) {
+  const l = Math.asin(M * Math.sin(phi));
+  const l2 = l * l;
+  const l6 = l2 * l2 * l2;
+
+  return [
+    (lambda * Math.cos(l)) /
+      (M * (A1 + 3 * A2 * l2 + l6 * (7 * A3 + 9 * A4 * l2))),
+    l * (A1 + A2 * l2 + l6 * (A3 + A4 * l2))
+  ];
+}
+
+// Scenes pick a projection by name, globes are clipped to the hemisphere
+// facing the reader
+export const projectionTypes = {
+  mercator: { raw: d3.geo.mercator.raw },
+  equalEarth: { raw: equalEarthRaw },
+  globe: { raw: d3.geo.orthographic.raw, clipAngle: 90 }
+};
+
+// Bounds of the whole world in raw projected units, y pointing down
+export function getRawWorldBounds({ raw, clipAngle }) {
+  if (clipAngle) {
+    return [
+      [-1, -1],
+      [1, 1]
+    ];
+  }
+
+  const toRadians = Math.PI / 180;
+  const edge = 180 - 1e-6;
+  const parallels = d3
+    .range(-edge, edge, 5)
+    .concat(edge)
+    .reduce((points, lon) => [...points, [lon, -maxlat], [lon, maxlat]], []);
+  const meridians = d3
+    .range(-maxlat, maxlat, 5)
+    .concat(maxlat)
+    .reduce((points, lat) => [...points, [-edge, lat], [edge, lat]], []);
+
+  const points = [...parallels, ...meridians].map(([lon, lat]) => {
+    const [x, y] = raw(lon * toRadians, lat * toRadians);
+    return [x, -y];
+  });
+
+  return [
+    [d3.min(points, point => point[0]), d3.min(points, point => point[1])],
+    [d3.max(points, point => point[0]), d3.max(points, point => point[1])]
+  ];
+}
+
+// A projection part way (t from 0 to 1) between two { type, rotate, scale,
+// translate } descriptions: every point is projected with both and blended,
+// while the rotation and the clipped part of the globe ease across
+export function interpolateProjection(from, to) {
+  const interpolateRotate = interpolateRotation(from.rotate, to.rotate);
+  const interpolateTranslate = d3.interpolate(from.translate, to.translate);
+  // a flat map shows all of the world, as good as a clip angle of 180°
+  const fromClipAngle = from.type.clipAngle || 179;
+  const toClipAngle = to.type.clipAngle || 179;
+  const isFlat = !from.type.clipAngle && !to.type.clipAngle;
+  const hasFlat = !from.type.clipAngle || !to.type.clipAngle;
+
+  return t => {
+    function blendedRaw(lambda, phi) {
+      // the poles of a flat map run off to infinity
+      const clampedPhi = hasFlat
+        ? Math.max(-maxPhi, Math.min(maxPhi, phi))
+        : phi;
+      const [fromX, fromY] = from.type.raw(lambda, clampedPhi);
+      const [toX, toY] = to.type.raw(lambda, clampedPhi);
+
+      return [
+        (1 - t) * from.scale * fromX + t * to.scale * toX,
+        (1 - t) * from.scale * fromY + t * to.scale * toY
+      ];
+    }
+
+    const projection = d3.geo
+      .projection(blendedRaw)
+      .scale(1)
+      .translate(interpolateTranslate(t))
+      .rotate(interpolateRotate(t));
+
+    if (isFlat) {
+      return projection;
+    }
+
+    return projection.clipAngle(
+      fromClipAngle + (toClipAngle - fromClipAngle) * t
+    );
+  };
+}
+
+// turns the short way around the world
+function interpolateRotation(from, to) {
+  const [fromLambda, fromPhi] = from;
+  const [toLambda, toPhi] = to;
+  const lambdaTurn = ((((toLambda - fromLambda) % 360) + 540) % 360) - 180;
+
+  return d3.interpolate(
+    [fromLambda, fromPhi],
+    [fromLambda + lambdaTurn, toPhi]
+  );
+}
+
+export function createProjection({ type, rotate, scale, translate }) {
+  const projection = d3.geo
+    .projection(type.raw)
+    .rotate(rotate)
+    .scale(scale)
+    .translate(translate);
+
+  return type.clipAngle ? projection.clipAngle(type.clipAngle) : projection;
+}
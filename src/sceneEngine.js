@@ -0,0 +1,658 @@
+import d3 from "d3";
+import isDesktop from "./utils/isDesktop";
+import isEqual from "./utils/isEqual";
+import createChromaColorSet from "./utils/createChromaColorSet";
+import createBivariateColorSet from "./utils/createBivariateColorSet";
+
+const toPixel = num => `${num}px`;
+
+// scrubbed scenes are fully drawn by the time the step is half way up the page
+const scrubbedByProgress = 0.5;
+const projectionDuration = 1500;
+// the thinnest flow still shows as a hairline
+const minFlowWidth = 0.05;
+
+// A scene left empty is the state the graphics are first drawn in
+const defaultScene = {
+  mapContainer: { mobile: { top: 0.25 }, desktop: { left: 0.25 } },
+  projection: { name: "mercator" },
+  zoom: { scale: 1, x: 0, y: 0, duration: 500 },
+  choropleths: [],
+  sections: [],
+  labels: [],
+  arrows: [],
+  flows: null,
+  years: null,
+  bubbles: null,
+  barChart: null,
+  lineChart: null
+};
+
+// Scene specs live in the story's scenes file, one per .step in index.html.
+// Every scene is resolved into the full target state of the map and charts,
+// and only what differs from the current state is transitioned, so any scene
+// can be entered from any other one.
+export default class SceneEngine {
+  constructor(opts) {
+    this.scenes = opts.scenes;
+    // datasets and countryGroups the scenes refer to by name
+    this.story = opts.story;
+    this.worldMap = opts.worldMap;
+    this.barChart = opts.barChart;
+    this.lineChart = opts.lineChart;
+
+    this.resetState();
+    this.subscribe(opts.storyBus);
+  }
+
+  // the state the graphics are in right after they're drawn
+  resetState() {
+    // charts start out hidden with nothing drawn in them
+    this.state = {
+      barChart: { visible: false },
+      lineChart: { visible: false }
+    };
+    this.scene = defaultScene;
+    this.state = {
+      ...this.resolveState(defaultScene),
+      // a map drawn again keeps its projection
+      projection: this.worldMap.projectionSpec
+    };
+    this.scrubbing = null;
+  }
+
+  // Brings graphics that were just drawn again from scratch (e.g. after a
+  // resize) back to the scene the story is on. A scrubbed scene is shown
+  // whole, zoom included, rather than waiting for the next scroll.
+  redraw() {
+    const scene = this.scene;
+
+    this.resetState();
+    this.transitionTo(scene);
+    this.stopScrubbing();
+  }
+
+  subscribe(storyBus) {
+    storyBus.on("step:enter.sceneEngine", ({ index, jumped }) => {
+      const scene = this.scenes[index];
+
+      if (!scene) {
+        return;
+      }
+
+      this.transitionTo(scene);
+
+      if (jumped) {
+        this.stopScrubbing();
+      }
+    });
+
+    storyBus.on("step:progress.sceneEngine", ({ index, progress }) => {
+      if (this.scenes[index] === this.scene) {
+        this.scrub(progress);
+      }
+    });
+
+    // back to the neutral gray map, wherever the story was left
+    storyBus.on("story:exit.sceneEngine", () => {
+      this.transitionTo({ ...this.scene, choropleths: [], sections: [] });
+    });
+  }
+
+  transitionTo(scene) {
+    // entering the step the story is already on (e.g. by scrolling to it
+    // after a jump) changes nothing
+    if (scene === this.scene) {
+      return;
+    }
+
+    // a scrubbed scene may be left half drawn, finish it before moving on
+    this.scrub(1);
+
+    // everything else is placed on the map in its new projection
+    this.transitionProjection({
+      ...defaultScene.projection,
+      ...scene.projection
+    });
+
+    const target = this.resolveState(scene);
+    const fromZoom = this.state.zoom;
+    // a map the reader zoomed themselves is eased back, not scrubbed back
+    const takesZoomBack = this.worldMap.userZoomed;
+
+    // years are shown over the rest of the scene, so they're taken off first
+    // and put on last
+    const yearsChanged = !isEqual(target.years, this.state.years);
+    if (yearsChanged && this.state.years) {
+      this.hideYears();
+    }
+
+    this.transitionMapContainer(target.mapContainer);
+    if (!scene.scrub || takesZoomBack) {
+      this.transitionZoom(target.zoom);
+    }
+    this.transitionCountryStyles(target.countryStyles);
+    this.worldMap.setChoropleths(target.choropleths);
+    this.transitionBubbles(target.bubbles);
+    this.transitionLabels(target.labels);
+    const arrowsRedrawn = this.transitionArrows(target.arrows, target.flows);
+    this.transitionBarChart(target.barChart);
+    const linesDrawn = this.transitionLineChart(target.lineChart);
+    if (yearsChanged && target.years) {
+      this.worldMap.showYears(target.years);
+    }
+
+    this.scrubbing = scene.scrub
+      ? {
+          interpolateZoom: takesZoomBack
+            ? null
+            : d3.interpolateObject(fromZoom, target.zoom),
+          arrowsRedrawn,
+          linesDrawn
+        }
+      : null;
+
+    this.scene = scene;
+    this.state = target;
+  }
+
+  // Scenes with "scrub": true tie their zoom and the drawing of their new
+  // arrows and lines to the scroll progress through the step, instead of
+  // playing them as timed transitions
+  scrub(progress) {
+    if (!this.scrubbing) {
+      return;
+    }
+
+    const { interpolateZoom, arrowsRedrawn, linesDrawn } = this.scrubbing;
+    const drawnProgress = Math.min(1, progress / scrubbedByProgress);
+
+    // scrolling within the step leaves a map the reader zoomed alone
+    if (interpolateZoom && !this.worldMap.userZoomed) {
+      this.animateZoom({ ...interpolateZoom(drawnProgress), duration: 0 });
+    }
+
+    if (arrowsRedrawn) {
+      this.worldMap.setArrowProgress(drawnProgress);
+    }
+
+    linesDrawn.forEach(property => {
+      this.lineChart.setLineProgress(property, drawnProgress);
+    });
+  }
+
+  // For steps reached without scrolling (keyboard, autoplay, links): plays
+  // the rest of a scrubbed scene as timed transitions instead
+  stopScrubbing() {
+    if (!this.scrubbing) {
+      return;
+    }
+
+    this.scrubbing = null;
+    this.animateZoom(this.state.zoom);
+  }
+
+  resolveState(scene) {
+    const {
+      mapContainer,
+      projection,
+      zoom,
+      choropleths,
+      sections,
+      labels,
+      arrows,
+      flows,
+      years,
+      bubbles,
+      barChart,
+      lineChart
+    } = { ...defaultScene, ...scene };
+
+    const mapPosition = isDesktop()
+      ? mapContainer.desktop
+      : mapContainer.mobile;
+
+    return {
+      mapContainer: mapPosition || this.state.mapContainer,
+      projection: { ...defaultScene.projection, ...projection },
+      zoom: this.resolveZoom(zoom),
+      choropleths: choropleths.map(choropleth => ({
+        ...choropleth,
+        data: this.resolveChoroplethData(choropleth)
+      })),
+      countryStyles: this.worldMap.resolveCountryStyles([
+        ...choropleths.map(choropleth => this.choroplethRule(choropleth)),
+        ...sections
+      ]),
+      labels: this.expandLabels(labels),
+      arrows: this.expandArrows(arrows),
+      flows: flows && this.resolveFlows(flows),
+      years: years && this.resolveYears(years),
+      bubbles: bubbles && {
+        ...bubbles,
+        data: this.resolveDataset(bubbles.data)
+      },
+      barChart: barChart
+        ? { visible: true, ...barChart }
+        : { ...this.state.barChart, visible: false },
+      lineChart:
+        lineChart && !(lineChart.hideOnMobile && !isDesktop())
+          ? { visible: true, ...lineChart }
+          : { ...this.state.lineChart, visible: false }
+    };
+  }
+
+  // container positions are fractions of the viewport, e.g. top: 0.25
+  transitionMapContainer(position) {
+    if (isEqual(position, this.state.mapContainer)) {
+      return;
+    }
+
+    const positionStyles = {};
+
+    if (position.top !== undefined) {
+      positionStyles.top = toPixel(
+        Math.floor(window.innerHeight * position.top)
+      );
+    }
+
+    if (position.left !== undefined) {
+      positionStyles.left = toPixel(
+        Math.floor(window.innerWidth * position.left)
+      );
+    }
+
+    this.worldMap.moveMapContainer({ duration: 500, ...positionStyles });
+  }
+
+  // labels, arrows and bubbles were placed for the old projection, so
+  // they're all drawn again
+  transitionProjection(projection) {
+    if (isEqual(projection, this.state.projection)) {
+      return;
+    }
+
+    this.worldMap.animateProjection({
+      duration: projectionDuration,
+      ...projection
+    });
+    this.worldMap.removeLabels();
+    this.worldMap.clearArrows();
+    this.worldMap.clearBubbles();
+
+    this.state = {
+      ...this.state,
+      projection,
+      labels: [],
+      arrows: [],
+      flows: null,
+      years: null,
+      bubbles: null
+    };
+  }
+
+  transitionZoom(zoom) {
+    if (isEqual(zoom, this.state.zoom) && !this.worldMap.userZoomed) {
+      return;
+    }
+
+    this.animateZoom(zoom);
+  }
+
+  // translate is a fraction of the map size so specs survive any viewport
+  animateZoom(zoom) {
+    this.worldMap.animateMapZoom({
+      scale: zoom.scale,
+      duration: zoom.duration,
+      translateX: -Math.floor(this.worldMap.width * zoom.x),
+      translateY: -Math.floor(this.worldMap.height * zoom.y)
+    });
+  }
+
+  transitionCountryStyles(countryStyles) {
+    const changedCountryStyles = {};
+
+    Object.keys(countryStyles).forEach(countryId => {
+      const { styles } = countryStyles[countryId];
+      const currentStyles = this.state.countryStyles[countryId].styles;
+
+      if (!isEqual(styles, currentStyles)) {
+        changedCountryStyles[countryId] = countryStyles[countryId];
+      }
+    });
+
+    this.worldMap.animateCountryStyles({
+      duration: 500,
+      countryStyles: changedCountryStyles
+    });
+  }
+
+  // bubbles of another data set grow and shrink from the ones on the map
+  transitionBubbles(bubbles) {
+    if (isEqual(bubbles, this.state.bubbles)) {
+      return;
+    }
+
+    if (bubbles) {
+      const { data, ...options } = bubbles;
+      this.worldMap.drawBubbles(data, options);
+    } else {
+      this.worldMap.clearBubbles();
+    }
+  }
+
+  transitionLabels(labels) {
+    const currentLabels = this.state.labels;
+
+    currentLabels
+      .filter(label => !labels.some(target => isEqual(target, label)))
+      .forEach(({ id }) => this.worldMap.removeLabel(id));
+
+    labels
+      .filter(label => !currentLabels.some(current => isEqual(current, label)))
+      .forEach(({ id, fontSize }) => {
+        this.worldMap.createCountryLabel(id, fontSize);
+      });
+  }
+
+  // arrows can't be told apart once drawn, so any change redraws all of them
+  transitionArrows(arrows, flows) {
+    if (
+      isEqual(arrows, this.state.arrows) &&
+      isEqual(flows, this.state.flows)
+    ) {
+      return false;
+    }
+
+    this.worldMap.clearArrows();
+    arrows.forEach(arrow => {
+      this.worldMap.animateArrowFromTo(
+        arrow.from,
+        arrow.to,
+        arrow.color,
+        arrow.width,
+        arrow.headSize,
+        arrow.curveOffset
+      );
+    });
+
+    if (flows) {
+      this.drawFlows(flows);
+    }
+
+    return true;
+  }
+
+  // widths grow with the value up to the biggest flow's width, colors run
+  // across the palette from the smallest flow to the biggest
+  // particles is how many a second set off along the biggest flow
+  drawFlows({ rows, width, palette, labels, units, curveOffset, particles }) {
+    const values = rows.map(row => row.value);
+
+    this.worldMap.drawFlows(rows, {
+      widthScale: d3.scale
+        .linear()
+        .domain([0, d3.max(values)])
+        .range([minFlowWidth, width]),
+      colorScale: d3.scale
+        .linear()
+        .domain(d3.extent(values))
+        .range(palette),
+      particleScale:
+        particles &&
+        d3.scale
+          .linear()
+          .domain([0, d3.max(values)])
+          .range([0, particles]),
+      curveOffset,
+      labelCount: labels,
+      labelFormat: value => `${value}${units}`
+    });
+  }
+
+  transitionBarChart(target) {
+    const current = this.state.barChart;
+
+    if (!target.visible) {
+      if (current.visible) {
+        this.barChart.hideAllElements();
+      }
+      return;
+    }
+
+    const isSameData =
+      target.data === current.data &&
+      target.units === current.units &&
+      target.layout === current.layout;
+
+    if (!isSameData) {
+      const data = this.resolveDataset(target.data);
+
+      if (target.layout === "compact") {
+        this.barChart.redrawBarsFromScratch(data);
+      } else {
+        if (this.barChart.plot.selectAll("rect").size() !== data.length) {
+          this.barChart.clearBars();
+          this.barChart.bindDataToBars(data);
+          this.barChart.paintHiddenBars(data);
+        }
+
+        this.barChart.repaintChart(data, target.units);
+      }
+    }
+
+    this.barChart.drawTitle(target.title);
+
+    if (!current.visible) {
+      this.barChart.revealBarChart();
+    }
+  }
+
+  // lines that stay on screen aren't redrawn, new ones are drawn on top as
+  // long as they share the y axis, otherwise the chart starts over.
+  // Returns the properties of the lines that were drawn
+  transitionLineChart(target) {
+    const current = this.state.lineChart;
+
+    if (!target.visible) {
+      if (current.visible) {
+        this.lineChart.hideIt();
+      }
+      return [];
+    }
+
+    const currentLines = current.lines || [];
+    const keptLines = currentLines.filter(line =>
+      target.lines.some(targetLine => isEqual(targetLine, line))
+    );
+    const addedLines = target.lines.filter(
+      line => !keptLines.some(keptLine => isEqual(keptLine, line))
+    );
+    const sharesAxis = [...keptLines, ...addedLines].every(line =>
+      isEqual(line.domain, target.lines[0].domain)
+    );
+
+    const startsOver = !keptLines.length || !sharesAxis;
+
+    if (startsOver) {
+      this.lineChart.clearLines();
+    } else {
+      currentLines
+        .filter(line => !keptLines.includes(line))
+        .forEach(({ property }) => this.lineChart.removeLine(property));
+    }
+
+    const linesToDraw = startsOver ? target.lines : addedLines;
+    linesToDraw.forEach(({ property, domain, labelShift }) => {
+      this.lineChart.drawLine(property, domain, labelShift);
+    });
+
+    this.lineChart.drawTitle(target.title);
+
+    if (!current.visible) {
+      this.lineChart.revealIt();
+    }
+
+    return linesToDraw.map(({ property }) => property);
+  }
+
+  resolveDataset(name) {
+    const dataset = this.story.datasets[name];
+
+    if (!dataset) {
+      throw new Error(`Unknown dataset in scene spec: ${name}`);
+    }
+
+    return dataset;
+  }
+
+  // A zoom to { countries, padding } is turned into the scale and fractions
+  // it takes for the map at its current size
+  resolveZoom(zoom) {
+    if (!zoom.countries) {
+      return { ...defaultScene.zoom, ...zoom };
+    }
+
+    const { countries, padding, ...timing } = zoom;
+    const ids = []
+      .concat(countries)
+      .reduce(
+        (expanded, idOrGroup) => [
+          ...expanded,
+          ...this.resolveCountries(idOrGroup)
+        ],
+        []
+      );
+    const { scale, translateX, translateY } = this.worldMap.getCountriesZoom(
+      ids,
+      padding
+    );
+
+    return {
+      ...defaultScene.zoom,
+      ...timing,
+      scale,
+      x: -translateX / this.worldMap.width,
+      y: -translateY / this.worldMap.height
+    };
+  }
+
+  resolveCountries(idOrGroup) {
+    return this.story.countryGroups[idOrGroup] || [idOrGroup];
+  }
+
+  // a bivariate choropleth names its two data sets
+  resolveChoroplethData({ type, data }) {
+    return type === "bivariate"
+      ? data.map(name => this.resolveDataset(name))
+      : this.resolveDataset(data);
+  }
+
+  choroplethRule(choropleth) {
+    const { type, selection, palette, stroke } = choropleth;
+    const data = this.resolveChoroplethData(choropleth);
+    const colorCodes =
+      type === "bivariate"
+        ? createBivariateColorSet(...data)
+        : createChromaColorSet(data, palette);
+
+    return {
+      section: selection,
+      styles: datum => ({
+        opacity: "1",
+        fill: colorCodes[datum.id],
+        stroke: stroke || colorCodes[datum.id],
+        "stroke-width": "0.1px"
+      })
+    };
+  }
+
+  expandLabels(labels) {
+    return labels.reduce((expanded, label) => {
+      if (!label.group) {
+        return [...expanded, label];
+      }
+
+      const groupLabels = this.resolveCountries(label.group).map(id => ({
+        id,
+        fontSize: label.fontSize
+      }));
+
+      return [...expanded, ...groupLabels];
+    }, []);
+  }
+
+  // The time slider recolored the destinations, so whatever the next scene
+  // does with them, they get its styles again
+  hideYears() {
+    const countryStyles = { ...this.state.countryStyles };
+
+    Object.keys(this.state.years.years[0].values).forEach(id => {
+      countryStyles[id] = { ...countryStyles[id], styles: null };
+    });
+
+    this.worldMap.hideYears();
+    this.state = { ...this.state, countryStyles };
+  }
+
+  // every year of the time series, each destination's value summed over its
+  // columns
+  resolveYears({ flows, from, palette, units, particles }) {
+    return {
+      from,
+      palette,
+      units,
+      particles,
+      years: this.story.timeSeries.map(row => ({
+        year: row.date.getFullYear(),
+        values: Object.keys(flows).reduce(
+          (values, id) => ({
+            ...values,
+            // the columns have a decimal at most
+            [id]: Math.round(d3.sum(flows[id], column => row[column]) * 10) / 10
+          }),
+          {}
+        )
+      }))
+    };
+  }
+
+  // one flow from every country in the dataset to the destination
+  resolveFlows({
+    data,
+    to,
+    width = 1,
+    palette = ["#666", "#000"],
+    labels = 0,
+    units = "",
+    curveOffset,
+    particles
+  }) {
+    return {
+      rows: this.resolveDataset(data)
+        .filter(row => row.name !== to)
+        .map(row => ({
+          origin: row.name,
+          destination: to,
+          value: row.population
+        })),
+      width,
+      palette,
+      labels,
+      units,
+      curveOffset,
+      particles
+    };
+  }
+
+  expandArrows(arrows) {
+    return arrows.reduce((expanded, arrow) => {
+      const arrowsFromGroup = this.resolveCountries(arrow.from).map(from => ({
+        ...arrow,
+        from
+      }));
+
+      return [...expanded, ...arrowsFromGroup];
+    }, []);
+  }
+}
@@ -0,0 +1,49 @@
+import d3 from "d3";
+
+const defaultDwellTime = 8000;
+const resumeAfterIdleTime = 30000;
+const userInputEvents = ["wheel", "touchstart", "mousedown", "keydown"];
+
+// Kiosk mode for exhibition screens, turned on with ?autoplay in the url.
+// Every step is shown for the "dwell" of its scene in milliseconds (or
+// ?autoplay=<ms> for all of them), after the last step the story loops back
+// to the first one. Any input pauses it until the screen has been left alone.
+export default function setupAutoplay(scenes, stepNavigator) {
+  const autoplayMatch = window.location.search.match(/[?&]autoplay(?:=(\d+))?/);
+
+  if (!autoplayMatch) {
+    return;
+  }
+
+  const dwellTime = Number(autoplayMatch[1]) || defaultDwellTime;
+  let dwellTimer = null;
+  let idleTimer = null;
+
+  function scheduleNextStep() {
+    const currentStepIndex = stepNavigator.getCurrentStepIndex();
+    const scene = scenes[currentStepIndex] || {};
+
+    dwellTimer = setTimeout(() => {
+      const isLastStep = currentStepIndex === stepNavigator.stepCount - 1;
+      const nextStepIndex =
+        currentStepIndex === null || isLastStep ? 0 : currentStepIndex + 1;
+
+      stepNavigator.goToStep(nextStepIndex);
+      scheduleNextStep();
+    }, scene.dwell || dwellTime);
+  }
+
+  function pause() {
+    clearTimeout(dwellTimer);
+    clearTimeout(idleTimer);
+
+    idleTimer = setTimeout(scheduleNextStep, resumeAfterIdleTime);
+  }
+
+  userInputEvents.forEach(eventName => {
+    d3.select(window).on(`${eventName}.autoplay`, pause);
+  });
+
+  stepNavigator.goToStep(0);
+  scheduleNextStep();
+}
@@ -0,0 +1,73 @@
+import d3 from "d3";
+
+const nextStepKeys = ["ArrowRight", "ArrowDown", "PageDown", " "];
+const previousStepKeys = ["ArrowLeft", "ArrowUp", "PageUp"];
+
+// Press "p" to present: the keyboard then moves a whole step at a time,
+// Home and End jump to the first and last step, Escape stops presenting
+export default function setupPresentationMode(storyBus, stepNavigator) {
+  const { stepCount, goToStep } = stepNavigator;
+  let isPresenting = false;
+
+  // scrolling while presenting keeps the counter up to date as well
+  storyBus.on("step:enter.presentation", ({ index }) => {
+    d3.select(".step-counter").text(`${index + 1} / ${stepCount}`);
+  });
+
+  function setPresenting(presenting) {
+    isPresenting = presenting;
+    d3.select("body").classed("presenting", presenting);
+
+    if (presenting) {
+      goToStep(stepNavigator.getCurrentStepIndex() || 0);
+    }
+  }
+
+  function getTargetStepIndex({ key, shiftKey }) {
+    const currentStepIndex = stepNavigator.getCurrentStepIndex();
+    const isPreviousKey =
+      previousStepKeys.includes(key) || (key === " " && shiftKey);
+
+    if (key === "Home") {
+      return 0;
+    }
+    if (key === "End") {
+      return stepCount - 1;
+    }
+    if (!isPreviousKey && !nextStepKeys.includes(key)) {
+      return null;
+    }
+    // before the first step, moving either way starts the story
+    if (currentStepIndex === null) {
+      return 0;
+    }
+
+    return isPreviousKey ? currentStepIndex - 1 : currentStepIndex + 1;
+  }
+
+  d3.select(window).on("keydown.presentation", () => {
+    const event = d3.event;
+
+    if (event.key === "p") {
+      setPresenting(!isPresenting);
+      return;
+    }
+
+    if (!isPresenting) {
+      return;
+    }
+
+    if (event.key === "Escape") {
+      setPresenting(false);
+      return;
+    }
+
+    const targetStepIndex = getTargetStepIndex(event);
+
+    if (targetStepIndex !== null) {
+      // keep the browser from scrolling on its own
+      event.preventDefault();
+      goToStep(targetStepIndex);
+    }
+  });
+}
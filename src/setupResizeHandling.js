@@ -0,0 +1,49 @@
+import d3 from "d3";
+import applyContainerStyles from "./applyContainerStyles";
+import debounce from "./utils/debounce";
+
+const resizeDebounceTime = 250;
+// about as much as an address bar takes up
+const addressBarHeight = 120;
+
+// Everything is measured once when drawn, so when the window is resized or the
+// phone rotated the container styles are recomputed, the graphics are drawn
+// again at their new size and the current scene is put back on top of them
+export default function setupResizeHandling({
+  scroller,
+  sceneEngine,
+  graphics
+}) {
+  let lastWidth = window.innerWidth;
+  let lastHeight = window.innerHeight;
+
+  const relayout = debounce(() => {
+    // mobile browsers resize the height while scrolling as the address bar
+    // shows and hides, that alone doesn't need a new layout
+    if (isAddressBarResize(lastWidth, lastHeight)) {
+      return;
+    }
+    lastWidth = window.innerWidth;
+    lastHeight = window.innerHeight;
+
+    applyContainerStyles();
+    graphics.forEach(graphic => graphic.redraw());
+    sceneEngine.redraw();
+    scroller.resize();
+  }, resizeDebounceTime);
+
+  d3.select(window)
+    .on("resize.relayout", relayout)
+    .on("orientationchange.relayout", relayout);
+}
+
+function isAddressBarResize(lastWidth, lastHeight) {
+  const isTouchDevice =
+    "ontouchstart" in window || navigator.maxTouchPoints > 0;
+
+  return (
+    isTouchDevice &&
+    window.innerWidth === lastWidth &&
+    Math.abs(window.innerHeight - lastHeight) < addressBarHeight
+  );
+}
@@ -0,0 +1,78 @@
+import d3 from "d3";
+
+// Steps are linked as #step=israel (scene name) or #step=12 (step index),
+// ?step= in the query string works as well
+const stepParamPattern = /(?:^|[#?&])step=([^&]+)/;
+
+export default function setupStepLinks(scenes, storyBus, stepNavigator) {
+  function showLinkedStep() {
+    const stepIndex = getLinkedStepIndex(scenes);
+
+    if (stepIndex !== null) {
+      stepNavigator.goToStep(stepIndex);
+    }
+  }
+
+  storyBus.on("step:enter.stepLinks", ({ index }) => {
+    updateStepLink(scenes, index);
+  });
+
+  // scrolled back up past the first step, the link no longer applies
+  storyBus.on("story:exit.stepLinks", ({ direction }) => {
+    if (direction === "up") {
+      clearStepLink();
+    }
+  });
+
+  window.addEventListener("hashchange", showLinkedStep);
+  showLinkedStep();
+}
+
+function updateStepLink(scenes, stepIndex) {
+  const scene = scenes[stepIndex];
+  const stepId = scene && scene.name ? scene.name : stepIndex;
+
+  replaceHash(`#step=${stepId}`);
+}
+
+function clearStepLink() {
+  replaceHash("");
+}
+
+export function scrollToStep(stepIndex) {
+  const step = d3.selectAll(".scroll-text .step")[0][stepIndex];
+
+  if (!step) {
+    return;
+  }
+
+  const stepTop = step.getBoundingClientRect().top + window.pageYOffset;
+  window.scrollTo(0, stepTop);
+}
+
+function getLinkedStepIndex(scenes) {
+  const match =
+    window.location.hash.match(stepParamPattern) ||
+    window.location.search.match(stepParamPattern);
+
+  if (!match) {
+    return null;
+  }
+
+  const stepId = decodeURIComponent(match[1]);
+  const namedIndex = scenes.findIndex(scene => scene.name === stepId);
+
+  if (namedIndex !== -1) {
+    return namedIndex;
+  }
+
+  const stepIndex = Number(stepId);
+  return Number.isInteger(stepIndex) && scenes[stepIndex] ? stepIndex : null;
+}
+
+// replaceState rather than location.hash, so scrolling neither jumps the page
+// nor fills up the back button history
+function replaceHash(hash) {
+  const { pathname, search } = window.location;
+  window.history.replaceState(null, "", `${pathname}${search}${hash}`);
+}
@@ -0,0 +1,50 @@
+import d3 from "d3";
+
+// Rows go from low to high values of the first data set, columns of the
+// second: grey where both are low, red and blue where one of them is high
+// and dark where both are
+export const bivariateColors = [
+  ["#e8e8e8", "#b0d5df", "#64acbe"],
+  ["#e4acac", "#ad9ea5", "#627f8c"],
+  ["#c85a5a", "#985356", "#574249"]
+];
+
+// the values splitting a data set into thirds
+const getTerciles = dataSet => {
+  const values = dataSet
+    .map(country => country.population)
+    .sort((a, b) => a - b);
+
+  return [d3.quantile(values, 1 / 3), d3.quantile(values, 2 / 3)];
+};
+
+// Colors of the countries in both data sets by the third of either data set
+// they fall in
+export default (populationDataSetA, populationDataSetB) => {
+  const thirdOfA = d3.scale
+    .threshold()
+    .domain(getTerciles(populationDataSetA))
+    .range([0, 1, 2]);
+  const thirdOfB = d3.scale
+    .threshold()
+    .domain(getTerciles(populationDataSetB))
+    .range([0, 1, 2]);
+
+  return populationDataSetA.reduce((countryColorsById, countryA) => {
+    const countryB = populationDataSetB.find(
+      country => country.name === countryA.name
+    );
+
+    if (!countryB) {
+      return countryColorsById;
+    }
+
+    return {
+      ...countryColorsById,
+      [countryA.name]:
+        bivariateColors[thirdOfA(countryA.population)][
+          thirdOfB(countryB.population)
+        ]
+    };
+  }, {});
+};
@@ -4,17 +4,22 @@ const redSet = ["white", "orange"];
 const orangeSet = ["#ffffb2", "#fd8d3c"];
 const blueSet = ["#ffffcc", "#a1dab4", "#41b6c4"];
 
-export default (populationDataSet, scale = redSet) => {
-  // console.warn('createChromaColorSet: chroma dataset', populationDataSet)
-
+// The palette spread over the data set's range of values
+export const createChromaScale = (populationDataSet, scale = redSet) => {
   const dataRange = populationDataSet
     .map(country => country.population)
     .sort((a, b) => a - b);
+
+  return chroma.scale(scale).domain(dataRange);
+};
+
+export default (populationDataSet, scale = redSet) => {
+  // console.warn('createChromaColorSet: chroma dataset', populationDataSet)
+
   // #F0DF7E
-  // console.warn('dataRange', dataRange)
   // const blueSet = ['#9E8CFF', '#8CF3FF'];
   const yellowSet = ["#F0DF7E", "orange"];
-  const chromaDomain = chroma.scale(scale).domain(dataRange);
+  const chromaDomain = createChromaScale(populationDataSet, scale);
 
   const countryColorCodes = populationDataSet.reduce(
     (countryColorsById, country) => {
@@ -0,0 +1,92 @@
+// The point inside the rings ([[x, y], ...], holes and islands alike) that
+// lies furthest from any edge, found by splitting the bounding box into ever
+// smaller cells (the "polylabel" method). It's where a label fits best,
+// unlike the centroid, which can end up outside a crescent or in the sea.
+export default (rings, precision = 0.01) => {
+  const points = rings.reduce((all, ring) => all.concat(ring), []);
+  const xs = points.map(point => point[0]);
+  const ys = points.map(point => point[1]);
+  const minX = Math.min(...xs);
+  const minY = Math.min(...ys);
+  const width = Math.max(...xs) - minX;
+  const height = Math.max(...ys) - minY;
+  const cellSize = Math.min(width, height);
+
+  if (!cellSize) {
+    return [minX + width / 2, minY + height / 2];
+  }
+
+  // precision is a share of the country's size, small states need it finer
+  const tolerance = precision * Math.max(width, height);
+  const createCell = (x, y, half) => {
+    const distance = getSignedDistance(x, y, rings);
+    return { x, y, half, distance, potential: distance + half * Math.SQRT2 };
+  };
+
+  let cells = [];
+  for (let x = minX; x < minX + width; x += cellSize) {
+    for (let y = minY; y < minY + height; y += cellSize) {
+      cells.push(createCell(x + cellSize / 2, y + cellSize / 2, cellSize / 2));
+    }
+  }
+
+  let best = createCell(minX + width / 2, minY + height / 2, 0);
+
+  while (cells.length) {
+    const cell = cells.pop();
+
+    if (cell.distance > best.distance) {
+      best = cell;
+    }
+
+    // only split cells that could still hold a better point
+    if (cell.potential - best.distance > tolerance) {
+      const half = cell.half / 2;
+      cells = cells.concat([
+        createCell(cell.x - half, cell.y - half, half),
+        createCell(cell.x + half, cell.y - half, half),
+        createCell(cell.x - half, cell.y + half, half),
+        createCell(cell.x + half, cell.y + half, half)
+      ]);
+    }
+  }
+
+  return [best.x, best.y];
+};
+
+// distance to the closest edge, negative outside the rings
+function getSignedDistance(x, y, rings) {
+  let inside = false;
+  let minDistanceSquared = Infinity;
+
+  rings.forEach(ring => {
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      const [ax, ay] = ring[i];
+      const [bx, by] = ring[j];
+
+      if (ay > y !== by > y && x < ((bx - ax) * (y - ay)) / (by - ay) + ax) {
+        inside = !inside;
+      }
+
+      minDistanceSquared = Math.min(
+        minDistanceSquared,
+        getSegmentDistanceSquared(x, y, ring[i], ring[j])
+      );
+    }
+  });
+
+  return (inside ? 1 : -1) * Math.sqrt(minDistanceSquared);
+}
+
+function getSegmentDistanceSquared(x, y, [ax, ay], [bx, by]) {
+  const dx = bx - ax;
+  const dy = by - ay;
+  const lengthSquared = dx * dx + dy * dy;
+  const t = lengthSquared
+    ? Math.max(0, Math.min(1, ((x - ax) * dx + (y - ay) * dy) / lengthSquared))
+    : 0;
+  const px = ax + t * dx - x;
+  const py = ay + t * dy - y;
+
+  return px * px + py * py;
+}
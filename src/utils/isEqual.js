@@ -0,0 +1 @@
+export default (a, b) => JSON.stringify(a) === JSON.stringify(b);